@@ -6,6 +6,7 @@
 var _				= require('lodash'),
 path				= require('path'),
 fs					= require('fs'),
+crypto				= require('crypto'),
 mkdirp				= require('mkdirp'),
 File				= require('vinyl'),
 yaml				= require('js-yaml'),
@@ -13,6 +14,7 @@ glob				= require('glob'),
 SVGSpriter			= require('../lib/svg-sprite'),
 config				= {},
 map					= {},
+aliases				= {},
 yargs				= require('yargs')
 					.usage('Create one or multiple sprites of the given SVG files, optionally along with some stylesheet resources.\nUsage: $0 [options] files')
 					.version(JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', 'package.json'), {encoding: 'utf8'})).version, 'version')
@@ -39,6 +41,7 @@ function addOption(name, option) {
 		if ('alias' in option) {
 			alias				= option.alias;
 			yargs				= yargs.alias(alias, name);
+			aliases[alias]		= name;
 		}
 		
 		yargs					= yargs.describe(alias, option.description);
@@ -77,7 +80,7 @@ function addOption(name, option) {
 function addConfigMap(store, path, value) {
 	var key					= path.shift();
 	if (path.length) {
-		if (!(key in store)) {
+		if (!_.isObject(store[key])) {
 			store[key]		= {};
 		}
 		addConfigMap(store[key], path, value);
@@ -87,21 +90,27 @@ function addConfigMap(store, path, value) {
 }
 
 /**
- * Recursively write files to disc
+ * Recursively write files to disc (skipping files that haven't changed since they were last written)
  * 
  * @param {Object} files			Files
+ * @param {Object} previous			Content hashes of the previously written files (indexed by path)
+ * @param {Object} hashes			Content hashes of the current files (indexed by path)
  * @return {Number}					Number of written files
  */
-function writeFiles(files) {
+function writeFiles(files, previous, hashes) {
 	var written				= 0;
 	for (var key in files) {
 		if (_.isObject(files[key])) {
 			if (files[key].__proto__.constructor == File) {
-				mkdirp.sync(path.dirname(files[key].path));
-				fs.writeFileSync(files[key].path, files[key].contents);
-				++written;
+				var hash			= crypto.createHash('md5').update(files[key].contents).digest('hex');
+				hashes[files[key].path] = hash;
+				if (previous[files[key].path] !== hash) {
+					mkdirp.sync(path.dirname(files[key].path));
+					fs.writeFileSync(files[key].path, files[key].contents);
+					++written;
+				}
 			} else {
-				written		+= writeFiles(files[key]);
+				written		+= writeFiles(files[key], previous, hashes);
 			}
 		}
 	}
@@ -180,34 +189,378 @@ for (var mode in config.mode) {
 	}
 }
 
+// Base directory for input files
+var cwd								= _.isString(argv.cwd) && argv.cwd.trim().length ? path.resolve(argv.cwd.trim()) : null;
+
+// Configuration file
+var configFile						= _.isString(argv.config) && argv.config.trim().length ? path.resolve(argv.config.trim()) : null,
+explicit							= explicitOptions();
+
+/**
+ * Determine the options that have been given explicitly on the command line (as opposed to default values)
+ * 
+ * @return {Object}					Explicitly given options (resolved to their full names)
+ */
+function explicitOptions() {
+	var options						= {};
+	process.argv.slice(2).forEach(function(arg) {
+		var names					= [];
+		if (arg.substr(0, 2) == '--') {
+			names.push(arg.substr(2).split('=').shift().replace(/^no-/, ''));
+		} else if ((arg.length > 1) && (arg.substr(0, 1) == '-')) {
+			names					= arg.substr(1).split('=').shift().split('');
+		}
+		names.forEach(function(name) {
+			options[aliases[name] || name] = true;
+		});
+	});
+	return options;
+}
+
+/**
+ * Read a configuration file (JSON, YAML or CommonJS module)
+ * 
+ * @param {String} file				Configuration file
+ * @return {Object}					Configuration
+ */
+function readConfigFile(file) {
+	if (path.extname(file).toLowerCase() == '.js') {
+		delete require.cache[require.resolve(file)];
+		return require(file);
+	}
+	
+	// YAML is a superset of JSON, so YAML parsing is just a fallback for JSON files
+	var content						= fs.readFileSync(file, 'utf8');
+	return (path.extname(file).toLowerCase() == '.json') ? JSON.parse(content) : yaml.safeLoad(content);
+}
+
+/**
+ * Resolve the relative paths in a configuration file against the directory of the file
+ * 
+ * Covers the destination, cache, meta data, alignment and overrides paths, the render and example
+ * templates as well as transformer and mode module paths starting with "./" or "../".
+ * 
+ * @param {Object} fileConfig		Configuration
+ * @param {String} dir				Configuration file directory
+ * @return {Object}					Configuration
+ */
+function resolveConfigPaths(fileConfig, dir) {
+	var resolve						= function(file) {
+		return (_.isString(file) && file.trim().length) ? path.resolve(dir, file.trim()) : file;
+	},
+	resolveModule					= function(name) {
+		return /^\.{1,2}[\/\\]/.test(name) ? path.resolve(dir, name) : name;
+	};
+	
+	['dest', 'cache', 'shape.meta', 'shape.align', 'shape.overrides'].forEach(function(key) {
+		if (_.isString(_.get(fileConfig, key))) {
+			_.set(fileConfig, key, resolve(_.get(fileConfig, key)));
+		}
+	});
+	
+	if (_.isArray(fileConfig.transform)) {
+		fileConfig.transform		= fileConfig.transform.map(function(transform) {
+			return _.isString(transform) ? resolveModule(transform) : (_.isPlainObject(transform) ? _.mapKeys(transform, function(value, name) {
+				return resolveModule(name);
+			}) : transform);
+		});
+	}
+	
+	_.forEach(fileConfig.mode, function(mode) {
+		if (_.isPlainObject(mode)) {
+			if (_.isString(mode.mode)) {
+				mode.mode			= resolveModule(mode.mode);
+			}
+			_.forEach(_.isPlainObject(mode.render) ? mode.render : {}, function(render) {
+				if (_.isPlainObject(render) && _.isString(render.template)) {
+					render.template	= resolve(render.template);
+				}
+			});
+			if (_.isPlainObject(mode.example) && _.isString(mode.example.template)) {
+				mode.example.template	= resolve(mode.example.template);
+			}
+		}
+	});
+	
+	return fileConfig;
+}
+
+/**
+ * Create the spriter configuration
+ * 
+ * If a configuration file is given, the options explicitly given on the command line override the file values.
+ * 
+ * @return {Object}					Spriter configuration
+ */
+function createConfig() {
+	if (!configFile) {
+		return _.cloneDeep(config);
+	}
+	
+	var fileConfig					= resolveConfigPaths(_.extend({}, readConfigFile(configFile)), path.dirname(configFile));
+	fileConfig.mode					= _.isPlainObject(fileConfig.mode) ? fileConfig.mode : {};
+	
+	// Enable / disable the modes (including their render types and examples) explicitly given on the command line
+	['css', 'view', 'defs', 'symbol', 'stack'].forEach(function(mode) {
+		if (explicit[mode]) {
+			if (!argv[mode]) {
+				delete fileConfig.mode[mode];
+				return;
+			} else if (!_.isObject(fileConfig.mode[mode])) {
+				fileConfig.mode[mode]	= _.cloneDeep(config.mode[mode]);
+			}
+		}
+		if (_.isObject(fileConfig.mode[mode])) {
+			_.forEach({render: ['css', 'scss', 'less', 'styl'], example: [null]}, function(types, property) {
+				types.forEach(function(type) {
+					var arg			= _.compact([mode, property, type]).join('-'),
+					prop			= _.compact([property, type]);
+					if (explicit[arg]) {
+						if (!argv[arg]) {
+							if (type) {
+								delete (fileConfig.mode[mode][property] || {})[type];
+							} else {
+								delete fileConfig.mode[mode][property];
+							}
+						} else if (!_.isObject(_.get(fileConfig.mode[mode], prop))) {
+							addConfigMap(fileConfig.mode[mode], prop, _.cloneDeep(_.get(config.mode[mode], prop)) || {});
+						}
+					}
+				});
+			});
+		}
+	});
+	
+	// Override the options explicitly given on the command line (mode options only apply to enabled modes)
+	for (var m in map) {
+		var keys					= m.split('.');
+		if (explicit[map[m]] && (m != 'variables') && ((keys[0] != 'mode') || _.isObject(fileConfig.mode[keys[1]]))) {
+			var value				= _.has(config, m) ? _.get(config, m) : argv[map[m]];
+			addConfigMap(fileConfig, keys, ((keys[keys.length - 1] == 'dimensions') && (value === '')) ? true : value);
+		}
+	}
+	
+	return fileConfig;
+}
+
 // Read & parse Mustache variable JSON file
+var variables						= null;
 if ('variables' in config) {
-	var variables					= ('' + config.variables).trim();
+	variables						= ('' + config.variables).trim();
 	delete config.variables;
 	variables						= variables.length ? path.resolve(variables) : null;
+}
+
+/**
+ * Read and parse the Mustache variable JSON file (if any)
+ * 
+ * @return {Object}					Mustache variables
+ */
+function readVariables() {
 	if (variables && fs.existsSync(variables)) {
 		try {
-			config.variables		= JSON.parse(fs.readFileSync(variables));
+			return JSON.parse(fs.readFileSync(variables));
 		} catch(e) {
 			console.error('[ERROR] Skipping --variables file due to errors ("%s")', e.message.trim());
 		}
 	}
+	return undefined;
+}
+
+/**
+ * Register an input file with a spriter instance
+ * 
+ * Without a base directory (--cwd), the shape name is derived from the file's basename. Otherwise
+ * the path relative to the base directory is used, so that the directory structure is reflected
+ * in the shape ID.
+ * 
+ * @param {SVGSpriter} spriter		Spriter instance
+ * @param {String} file				Input file (relative to the base directory)
+ * @param {Boolean} update			Replace a previously registered version of the file
+ */
+function addFile(spriter, file, update) {
+	var name						= cwd ? path.relative(cwd, path.resolve(cwd, file)) : '';
+	
+	// If the file is located within the base directory: Use the relative path as shape name
+	if (name.length && (name.split(path.sep).shift() != '..') && !path.isAbsolute(name)) {
+		file						= path.join(cwd, name);
+		
+	// Else: Use the basename of the (possibly symlinked) file
+	} else {
+		file						= path.resolve(cwd || '', file);
+		var stat					= fs.lstatSync(file);
+		if (stat.isSymbolicLink()) {
+			file					= path.resolve(path.dirname(file), fs.readlinkSync(file));
+		}
+		name						= path.basename(file);
+	}
+	spriter[update ? 'update' : 'add'](file, name, fs.readFileSync(file));
 }
 
-var spriter							= new SVGSpriter(config);
-_.reduce(argv._, function(f, g){ return f.concat(glob.sync(g)); }, []).forEach(function(file){
-	file							= path.resolve(file);
-	var stat						= fs.lstatSync(file);
-	if (stat.isSymbolicLink()) {
-		file						= fs.readlinkSync(file);
+/**
+ * Create a spriter instance and register all input files
+ * 
+ * @return {SVGSpriter}				Spriter instance
+ */
+function createSpriter() {
+	var spriterConfig				= createConfig(),
+	spriterVariables				= readVariables(),
+	spriter							= null;
+	if (!_.isUndefined(spriterVariables)) {
+		spriterConfig.variables		= spriterVariables;
 	}
-	spriter.add(file, path.basename(file), fs.readFileSync(file));
-});
+	effectiveConfig					= spriterConfig;
+	spriter							= new SVGSpriter(spriterConfig);
+	_.reduce(argv._, function(f, g){ return f.concat(glob.sync(g, {cwd: cwd || process.cwd()})); }, []).forEach(function(file){
+		addFile(spriter, file);
+	});
+	return spriter;
+}
 
-spriter.compile(function(error, result, data) {
-	if (error) {
-		console.error(error);
-	} else {
-		writeFiles(result);
+var effectiveConfig					= null,
+spriter								= createSpriter(),
+outputs								= {};
+
+/**
+ * Compile the sprites and write the changed resources to disc
+ * 
+ * @param {Function} cb				Callback
+ */
+function compile(cb) {
+	spriter.compile(function(error, result, data) {
+		var stats					= {written: 0, removed: 0};
+		if (error) {
+			console.error(error);
+		} else {
+			var hashes				= {};
+			stats.written			= writeFiles(result, outputs, hashes);
+			
+			// Remove resources that have been written before but are obsolete now (e.g. due to cache busting)
+			for (var file in outputs) {
+				if (!(file in hashes)) {
+					try {
+						fs.unlinkSync(file);
+						++stats.removed;
+					} catch(e) {}
+				}
+			}
+			outputs					= hashes;
+		}
+		cb && cb(error, stats);
+	});
+}
+
+/**
+ * Watch the input files, meta data, alignment, overrides, variables and template files and rebuild the sprites on changes
+ */
+function watch() {
+	var chokidar					= require('chokidar'),
+	changes							= {},
+	rebuild							= false,
+	timeout							= null,
+	building						= false,
+	shapeConfig						= effectiveConfig.shape || {},
+	configFiles						= _.filter([configFile, shapeConfig.meta, shapeConfig.align, shapeConfig.overrides, variables], _.isString).map(function(file){
+		return path.resolve(file);
+	}),
+	templates						= [];
+	
+	// Collect the render and example templates of all modes
+	_.forEach(effectiveConfig.mode, function(mode) {
+		_.forEach(mode.render || {}, function(render) {
+			if (_.isPlainObject(render) && _.isString(render.template)) {
+				templates.push(path.resolve(render.template));
+			}
+		});
+		if (_.isPlainObject(mode.example) && _.isString(mode.example.template)) {
+			templates.push(path.resolve(mode.example.template));
+		}
+	});
+	
+	/**
+	 * Apply the collected changes and rebuild the sprites
+	 */
+	var build						= function() {
+		timeout						= null;
+		if (building) {
+			return;
+		}
+		
+		var start					= Date.now(),
+		changed						= Object.keys(changes).length,
+		recreate					= rebuild;
+		building					= true;
+		
+		try {
+			if (recreate) {
+				spriter				= createSpriter();
+			} else {
+				for (var file in changes) {
+					if (changes[file] == 'unlink') {
+						spriter.remove(file);
+					} else {
+						addFile(spriter, file, true);
+					}
+				}
+			}
+		} catch(e) {
+			console.error('[ERROR] %s', e.message);
+		}
+		changes						= {};
+		rebuild						= false;
+		
+		compile(function(error, stats) {
+			building				= false;
+			if (!error) {
+				console.log('[%s] Rebuilt sprites in %dms (%s) — %d file(s) written, %d file(s) removed',
+					new Date().toTimeString().substr(0, 8),
+					Date.now() - start,
+					recreate ? 'configuration changed' : (changed + ' changed file(s)'),
+					stats.written,
+					stats.removed
+				);
+			}
+			if (rebuild || Object.keys(changes).length) {
+				schedule();
+			}
+		});
+	},
+	
+	/**
+	 * Schedule a (debounced) rebuild
+	 */
+	schedule						= function() {
+		if (timeout) {
+			clearTimeout(timeout);
+		}
+		timeout						= setTimeout(build, 100);
+	};
+	
+	chokidar.watch(argv._, {ignoreInitial: true, cwd: cwd || process.cwd()}).on('all', function(event, file) {
+		if (['add', 'change', 'unlink'].indexOf(event) >= 0) {
+			changes[path.resolve(cwd || '', file)] = event;
+			schedule();
+		}
+	});
+	
+	chokidar.watch(configFiles.concat(_.uniq(templates)), {ignoreInitial: true}).on('all', function(event, file) {
+		if (['add', 'change', 'unlink'].indexOf(event) >= 0) {
+			
+			// Meta data, alignment, overrides or variables changed: Recreate the spriter instance
+			if (configFiles.indexOf(path.resolve(file)) >= 0) {
+				rebuild				= true;
+			}
+			
+			// Templates are picked up by the next compilation anyway
+			schedule();
+		}
+	});
+	
+	console.log('Watching for changes ...');
+}
+
+compile(function(error) {
+	if (argv.watch) {
+		watch();
 	}
 });
\ No newline at end of file
@@ -14,16 +14,54 @@ var CONFIG					= require('./svg-sprite/config'),
 	QUEUE					= require('./svg-sprite/queue'),
 	SHAPE					= require('./svg-sprite/shape'),
 	SVGO					= require('./svg-sprite/transform/svgo'),
+	CURRENTCOLOR			= require('./svg-sprite/transform/currentcolor'),
+	RECOLOR					= require('./svg-sprite/transform/recolor'),
+	SANITIZE				= require('./svg-sprite/transform/sanitize'),
+	CACHE					= require('./svg-sprite/cache'),
+	SCHEMA					= require('./svg-sprite/schema'),
+	PLUGIN					= require('./svg-sprite/plugin'),
 	LAYOUTER				= require('./svg-sprite/layouter'),
 	_						= require('lodash'),
 	path					= require('path'),
+	crypto					= require('crypto'),
 	File					= require('vinyl'),
 	events					= require('events'),
 	async					= require('async'),
 	os 						= require('os'),
 	winston					= require('winston'),
 	pretty					= require('prettysize'),
-	util					= require('util');
+	util					= require('util'),
+	transformers			= {svgo: SVGO, currentColor: CURRENTCOLOR, recolor: RECOLOR, sanitize: SANITIZE};
+
+/**
+ * Validate a named transformer
+ * 
+ * @param {String} name					Transformer name
+ * @param {Function|String} transformer	Transformer function or module path / package name exporting it
+ * @return {Function}					Transformer function
+ * @throws {Error}						In case of an invalid transformer name or function
+ */
+function validateTransformer(name, transformer) {
+	var error					= null;
+	if (!name.length) {
+		error					= 'SVGSpriter.registerTransformer: You must provide a transformer name';
+	} else {
+		transformer				= _.isString(transformer) ? PLUGIN(transformer) : transformer;
+		if (!_.isFunction(transformer)) {
+			error				= util.format('SVGSpriter.registerTransformer: Invalid transformer function for "%s"', name);
+		}
+	}
+	
+	// In case of an error: Throw it!
+	if (error) {
+		var e					= new Error(error);
+		e.name					= 'ArgumentError';
+		e.errno					= 1431102413;
+		throw e;
+	}
+	
+	return transformer;
+}
 
 /**
  * SVGSpriter class
@@ -36,9 +74,15 @@ function SVGSpriter(config) {
 	
 	this._queue				= new QUEUE(this);
 	this._shapes			= [];
-	this._transformers		= {svgo: SVGO};
+	this._transformers		= {};
 	this._compileQueue		= [];
 	this._shapesDest		= [];
+	this._changes			= {added: [], removed: [], updated: []};
+	this._layoutCache		= {};
+	this._collisions		= [];
+	this._rejected			= [];
+	this._modes				= {};
+	this._cache				= this.config.cache ? new CACHE(this.config.cache, this) : null;
 	
 	events.EventEmitter.call(this);
 	
@@ -130,6 +174,217 @@ SVGSpriter.prototype.add = function(file, name, svg) {
 	return this;
 }
 
+/**
+ * Remove an SVG shape from the sprites
+ * 
+ * All distributed copies of the shape are removed as well. Files that are still waiting for being processed
+ * will be dropped from the processing queue.
+ * 
+ * @param {File|String} file			Vinyl file object, absolute or relative file path or shape ID
+ * @return {SVGSpriter}					Self reference
+ * @throws {Error}						In case an invalid file should be removed
+ */
+SVGSpriter.prototype.remove = function(file) {
+	var name					= _.trim(this._isVinylFile(file) ? file.path : file);
+	
+	// Argument validation
+	if (!name.length) {
+		var error				= 'SVGSpriter.remove: You must provide a file path or shape ID',
+		e						= new Error(error);
+		e.name					= 'ArgumentError';
+		e.errno					= 1430317465;
+		this.error(error, e);
+		throw e;
+	}
+	
+	var absolute				= path.resolve(name),
+	filter						= function(file, shape) {
+		return (file.path == absolute) || (file.relative == name) || (!!shape && ((shape.name == name) || (shape.id == name)));
+	},
+	
+	// Find all matching original shapes (copies and variants match their original)
+	masters						= _.uniq(this._shapes.filter(function(shape) {
+		return filter(shape.source, shape);
+	}).map(function(shape) {
+		return shape.getOriginal();
+	})),
+	names						= _.pluck(masters, 'name'),
+	dropped						= this._queue.drop(filter),
+	shapes						= this._removeShapes(masters);
+	
+	// Forget about the ID collisions the file was involved in
+	this._collisions			= _.reject(this._collisions, function(collision) {
+		return (names.indexOf(collision.name) >= 0) || (names.indexOf(collision.existing) >= 0) || _.some(collision.sources, function(source) {
+			return filter(source, null);
+		});
+	});
+	
+	// Forget about the file having been skipped due to errors
+	this._rejected				= _.reject(this._rejected, function(rejection) {
+		return filter(rejection.file, null);
+	});
+	
+	if (shapes || dropped) {
+		this.verbose('Removed "%s" (%d shapes, %d queued files)', name, shapes, dropped);
+	} else {
+		this.debug('Skipped removal of "%s" (not registered)', name);
+	}
+	
+	return this;
+}
+
+/**
+ * Remove a list of master shapes along with their distributed copies and variants
+ * 
+ * @param {Array} masters				Master shapes
+ * @return {Number}						Number of removed shapes (including copies and variants)
+ */
+SVGSpriter.prototype._removeShapes = function(masters) {
+	var shapes					= this._shapes.length;
+	this._shapes				= _.reject(this._shapes, function(shape) {
+		return masters.indexOf(shape.getOriginal()) >= 0;
+	});
+	shapes						-= this._shapes.length;
+	masters.forEach(function(shape) {
+		this._registerChange('removed', shape.name);
+	}, this);
+	
+	// Index based namespaces need to be recalculated
+	if (shapes && (this.config.svg.namespaceStrategy == 'index')) {
+		_.invoke(this._shapes, 'resetNamespace');
+	}
+	
+	return shapes;
+}
+
+/**
+ * Return the path of a source file for messages (relative to the working directory if below it)
+ * 
+ * @param {File} file					Vinyl file object
+ * @return {String}						Path
+ */
+SVGSpriter.prototype._displayPath = function(file) {
+	var relative				= path.relative(process.cwd(), file.path);
+	return (relative.length && (relative.split(path.sep)[0] != '..')) ? relative : file.path;
+}
+
+/**
+ * Detect and resolve ID collisions of a processed shape with the already registered shapes
+ * 
+ * Depending on the `shape.id.collision` policy, the colliding shape is added nevertheless ("warn"),
+ * renamed by appending a numeric suffix ("rename"), replaces the existing shapes ("last-wins") or is
+ * discarded, causing subsequent compilations to fail ("error").
+ * 
+ * @param {SVGShape} shape				Processed shape (not distributed yet)
+ * @return {Boolean}					The shape should be added to the sprite
+ */
+SVGSpriter.prototype._resolveCollisions = function(shape) {
+	var ids						= _.pluck(this._shapes, 'id'),
+	colliding					= _.intersection(shape.getDistributedIds(), ids);
+	if (!colliding.length) {
+		return true;
+	}
+	
+	var policy					= shape.config.id.collision,
+	existing					= _.uniq(this._shapes.filter(function(registered) {
+		return colliding.indexOf(registered.id) >= 0;
+	}).map(function(registered) {
+		return registered.getOriginal();
+	})),
+	collision					= {
+		id						: colliding[0],
+		name					: shape.name,
+		existing				: existing[0].name,
+		path					: this._displayPath(shape.source),
+		existingPath			: this._displayPath(existing[0].source),
+		policy					: policy,
+		resolution				: null,
+		sources					: [existing[0].source, shape.source]
+	},
+	add							= true;
+	
+	switch (policy) {
+		
+		// Append a numeric suffix to the shape ID
+		case 'rename':
+			var base			= shape.base;
+			for (var suffix = 2; _.intersection(shape.getDistributedIds(), ids).length; ++suffix) {
+				shape.base		= base + '-' + suffix;
+				shape.id		= shape.base + (shape.state ? (shape.config.id.pseudo + shape.state) : '');
+			}
+			collision.resolution	= 'renamed';
+			collision.renamed	= shape.id;
+			this.warn('Shape ID collision: Renamed "%s" to "%s" as "%s" is already used by "%s"', collision.path, shape.id, collision.id, collision.existingPath);
+			break;
+			
+		// Replace the existing shapes
+		case 'last-wins':
+			this._removeShapes(existing);
+			collision.resolution	= 'replaced';
+			this.warn('Shape ID collision: "%s" replaces "%s" (ID "%s")', collision.path, existing.map(function(registered) {
+				return this._displayPath(registered.source);
+			}, this).join('", "'), collision.id);
+			break;
+			
+		// Discard the shape and fail subsequent compilations
+		case 'error':
+			collision.resolution	= 'discarded';
+			add					= false;
+			this.error('Shape ID collision: "%s" and "%s" both map to ID "%s"', collision.existingPath, collision.path, collision.id);
+			break;
+			
+		// Keep both shapes
+		default:
+			collision.policy	= 'warn';
+			collision.resolution	= 'kept';
+			this.warn('Shape ID collision: "%s" and "%s" both map to ID "%s"', collision.existingPath, collision.path, collision.id);
+	}
+	
+	this._collisions.push(collision);
+	return add;
+}
+
+/**
+ * Update (replace) an SVG shape
+ * 
+ * Takes the same arguments as SVGSpriter.add(). If there's no shape registered for the given file yet,
+ * the file will simply be added.
+ * 
+ * @param {File|String} file			Vinyl file object or absolute file path
+ * @param {String} name					Name part of the file path
+ * @param {String} svg					SVG content
+ * @return {SVGSpriter}					Self reference
+ * @throws {Error}						In case an invalid file should be updated
+ */
+SVGSpriter.prototype.update = function(file, name, svg) {
+	this.remove(this._isVinylFile(file) ? file.path : path.resolve(_.trim(file)));
+	return this.add.apply(this, arguments);
+}
+
+/**
+ * Register a shape change since the last compilation
+ * 
+ * @param {String} type					Change type ("added" or "removed")
+ * @param {String} name					Shape name
+ */
+SVGSpriter.prototype._registerChange = function(type, name) {
+	var removed					= this._changes.removed.indexOf(name),
+	added						= this._changes.added.indexOf(name);
+	
+	// A shape that has been removed and added again counts as updated
+	if ((type == 'added') && (removed >= 0)) {
+		this._changes.removed.splice(removed, 1);
+		this._changes.updated.push(name);
+		
+	// A shape that has been added and removed again doesn't count at all
+	} else if ((type == 'removed') && (added >= 0)) {
+		this._changes.added.splice(added, 1);
+		
+	} else if (this._changes[type].indexOf(name) < 0) {
+		this._changes[type].push(name);
+	}
+}
+
 /**
  * Duck-typing check for vinyl file objects
  * 
@@ -155,6 +410,7 @@ SVGSpriter.prototype._transformShape = function(shape, cb) {
 	// Run through all configured transforms
 	for (var t = 0, task; t < this.config.transform.length; ++t) {
 		task					= (function(transform){
+			var transformer;
 		
 			// If it's a custom transformer
 			if (_.isFunction(transform[1])) {
@@ -162,10 +418,10 @@ SVGSpriter.prototype._transformShape = function(shape, cb) {
 					transform[1](shape, that, arguments[arguments.length - 1]);
 				};
 			
-			// Else if it's a registered transformer
-			} else if ((transform[0] in that._transformers) && _.isObject(transform[1])) {
+			// Else if it's a registered (or resolvable) transformer
+			} else if (_.isObject(transform[1]) && (transformer = that._resolveTransformer(transform[0]))) {
 				return function() {
-					that._transformers[transform[0]](shape, transform[1], that, arguments[arguments.length - 1]);
+					transformer(shape, transform[1], that, arguments[arguments.length - 1]);
 				};
 				
 			// Else: Break
@@ -180,24 +436,195 @@ SVGSpriter.prototype._transformShape = function(shape, cb) {
 		}
 	}
 	
+	// If there's a transformation cache: Try to reuse a previously transformed version of the shape
+	if (this._cache && this._cache.enabled && tasks.length) {
+		var key					= this._cache.key(shape),
+		cached					= this._cache.get(key);
+		if (cached !== null) {
+			try {
+				shape.setSVG(cached);
+				this._cache.getVariants(key).forEach(function(variant) {
+					shape.addVariant(variant.id, variant.svg);
+				});
+				this._cache.getReports(key).forEach(function(report) {
+					shape.report(report[0], '%s', report[1]);
+				});
+				this.debug('Reused cached transformation result for "%s"', shape.name);
+				cb(null);
+				return;
+			} catch(e) {
+				this.debug('Ignoring invalid cached transformation result for "%s"', shape.name);
+			}
+		}
+		tasks.push(function() {
+			that._cache.set(key, shape.getSVG(false), shape.variants, shape.reports);
+			arguments[arguments.length - 1](null);
+		});
+	}
+	
 	async.waterfall(tasks, function(error){
 		cb(error);
 	});
 }
 
+/**
+ * Register a named transformer
+ * 
+ * Registered transformers may be used by name in the `transform` configuration. They are called
+ * with the shape, the transformation configuration, the spriter instance and a callback.
+ * Transformers registered with the instance take precedence over globally registered ones.
+ * 
+ * @param {String} name					Transformer name
+ * @param {Function|String} transformer	Transformer function or module path / package name exporting it
+ * @return {SVGSpriter}					Self reference
+ * @throws {Error}						In case of an invalid transformer name or function
+ */
+SVGSpriter.prototype.registerTransformer = function(name, transformer) {
+	name						= _.trim(name);
+	try {
+		this._transformers[name]	= validateTransformer(name, transformer);
+	} catch(e) {
+		this.error(e.message, e);
+		throw e;
+	}
+	this.verbose('Registered transformer "%s"', name);
+	return this;
+}
+
+/**
+ * Resolve a transformer by name
+ * 
+ * Names that are neither registered with the instance nor globally are looked up as module
+ * paths / package names. The result is registered for subsequent calls, so that missing
+ * transformers are reported only once.
+ * 
+ * @param {String} name					Transformer name
+ * @return {Function}					Transformer (or NULL if it cannot be resolved)
+ */
+SVGSpriter.prototype._resolveTransformer = function(name) {
+	if (!_.has(this._transformers, name)) {
+		if (_.has(transformers, name)) {
+			return transformers[name];
+		}
+		var transformer			= PLUGIN(name);
+		if (_.isFunction(transformer)) {
+			this._transformers[name]	= transformer;
+			this.verbose('Loaded transformer "%s"', name);
+		} else {
+			this._transformers[name]	= null;
+			this.warn('Skipping unknown transformer "%s"', name);
+		}
+	}
+	return this._transformers[name];
+}
+
+/**
+ * Register a custom output mode
+ * 
+ * The mode class gets instantiated with the same arguments as the built-in modes (spriter, configuration,
+ * templating data and result key) and will usually extend one of the built-in mode classes.
+ * 
+ * @param {String} name					Mode name
+ * @param {Function|String} mode		Mode class (constructor) or module path / package name exporting it
+ * @return {SVGSpriter}					Self reference
+ * @throws {Error}						In case of an invalid mode name or class
+ */
+SVGSpriter.prototype.registerMode = function(name, mode) {
+	var error					= null;
+	name						= _.trim(name);
+	if (!name.length) {
+		error					= 'SVGSpriter.registerMode: You must provide a mode name';
+	} else if (SCHEMA.modes.indexOf(name) >= 0) {
+		error					= util.format('SVGSpriter.registerMode: "%s" is a built-in mode and cannot be replaced', name);
+	} else {
+		mode					= _.isString(mode) ? PLUGIN(mode) : mode;
+		if (!_.isFunction(mode)) {
+			error				= util.format('SVGSpriter.registerMode: Invalid mode class for "%s"', name);
+		}
+	}
+	
+	// In case of an error: Throw it!
+	if (error) {
+		var e					= new Error(error);
+		e.name					= 'ArgumentError';
+		e.errno					= 1430989367;
+		this.error(error, e);
+		throw e;
+	}
+	
+	this._modes[name]			= mode;
+	this.verbose('Registered custom mode "%s"', name);
+	return this;
+}
+
+/**
+ * Resolve a mode (built-in, registered or module) to its class
+ * 
+ * Modules are only loaded for modes given explicitly as `mode` property, never for mode keys.
+ * 
+ * @param {String|Function} mode		Mode name, module path / package name or mode class
+ * @param {Boolean} explicit			The mode has been given explicitly as `mode` property
+ * @return {Function}					Mode class (or NULL if the mode cannot be resolved)
+ */
+SVGSpriter.prototype._resolveMode = function(mode, explicit) {
+	if (_.isFunction(mode)) {
+		return mode;
+	} else if (SCHEMA.modes.indexOf(mode) >= 0) {
+		return require('./svg-sprite/mode/' + mode);
+	} else if (_.has(this._modes, mode)) {
+		return this._modes[mode];
+	} else if (!explicit) {
+		return null;
+	}
+	mode						= PLUGIN(mode);
+	return _.isFunction(mode) ? mode : null;
+}
+
 /**
  * Compile the sprite & additional resources
  * 
+ * If no callback is given, a promise is returned that resolves to an object
+ * with the properties `result` and `data` (or rejects with the compilation error).
+ * 
  * @param {Object} config				Configuration
  * @param {Function} cb					Callback
+ * @return {Promise}					Promise (only if no callback has been given)
  */
 SVGSpriter.prototype.compile = function() {
 	var args					= _.toArray(arguments),
+	warnings					= [],
+	problems					= SCHEMA.validateModes(_.isPlainObject(args[0]) ? args[0] : this.config.mode, function(mode, explicit) {
+		try {
+			return this._resolveMode(mode, explicit) !== null;
+		} catch(e) {
+			return false;
+		}
+	}.bind(this), _.keys(this._modes), _.isPlainObject(args[0]) ? warnings : null),
 	config						= _.isPlainObject(args[0]) ? this.config.filter(args.shift()) : _.clone(this.config.mode, true),
-	cb							= _.isFunction(args[0]) ? args.shift() : function(error){ throw error; };
+	cb							= _.isFunction(args[0]) ? args.shift() : null,
+	promise						= cb ? null : new Promise(function(resolve, reject){
+		cb						= function(error, result, data) {
+			error ? reject(error) : resolve({result: result, data: data});
+		};
+	});
+	
+	// Report ignored options and values (the ones of the main configuration have been reported on instantiation)
+	warnings.forEach(function(warning) {
+		this.warn('SVGSpriter.compile: Ignoring invalid mode configuration (%s)', warning);
+	}, this);
 	
+	// If the mode configuration is invalid: Error
+	if (problems.length) {
+		var error				= util.format('SVGSpriter.compile: Invalid mode configuration\n - %s', problems.join('\n - ')),
+		e						= new Error(error);
+		e.name					= 'ArgumentError';
+		e.errno					= 1430812646;
+		e.problems				= problems;
+		this.error(error, e);
+		cb(e, null, null);
+		
 	// If there's a valid mode configuration 
-	if (_.size(config)) {
+	} else if (_.size(config)) {
 		this._compileQueue.push([config, cb]);
 		this._compile();
 		
@@ -210,6 +637,8 @@ SVGSpriter.prototype.compile = function() {
 		this.error(error, e);
 		cb(e, null, null);
 	}
+	
+	return promise;
 }
 
 /**
@@ -223,43 +652,248 @@ SVGSpriter.prototype._compile = function() {
 		this.info('Compiling %d shapes ...', masterShapes);
 
 		var that 				= this,
-		args					= this._compileQueue.shift();
+		args					= this._compileQueue.shift(),
+		changes					= this._changes,
+		collisions				= _.filter(this._collisions, 'policy', 'error');
 		
-		// Initialize the namespace powers
-		while (!this._namespacePow.length || (Math.pow(26, this._namespacePow.length) < masterShapes)) {
-			this._namespacePow.unshift(Math.pow(26, this._namespacePow.length));
-			_.invoke(this._shapes, 'resetNamespace');
+		// If there are unresolved ID collisions: Error
+		if (collisions.length) {
+			var error			= util.format('SVGSpriter.compile: Shape ID collisions detected (%s)', collisions.map(function(collision) {
+				return util.format('"%s" and "%s" both map to ID "%s"', collision.existingPath, collision.path, collision.id);
+			}).join(', ')),
+			e					= new Error(error);
+			e.name				= 'ArgumentError';
+			e.errno				= 1430575102;
+			e.collisions		= collisions.map(function(collision) {
+				return _.omit(collision, 'sources');
+			});
+			this.error(error, e);
+			args[1](e, null, null);
+			this.emit('compiled');
+			return;
 		}
 		
-		// Sort shapes by ID
-		this._shapes			= this._shapes.sort(function(shape1, shape2){
-			return (shape1.id == shape2.id) ? 0 : ((shape1.id > shape2.id) ? 1 : -1);
-		});
-		
-		// Set the shape namespaces on all master shapes
-		_.reject(this._shapes, function(shape) { return !!shape.master; }).map(function(shape, index){
-			shape.setNamespace(this._indexNamespace(index));
-		}, this);
-		
-		this._layout(args[0], function(error, files, data) {
+		// If the shapes have changed since the last compilation: Prepare them again
+		if (changes.added.length || changes.removed.length || changes.updated.length) {
+			this.verbose('Shape changes since last compilation: %d added, %d removed, %d updated', changes.added.length, changes.removed.length, changes.updated.length);
+			this._changes		= {added: [], removed: [], updated: []};
+			
+			// Initialize the namespace powers
+			while (!this._namespacePow.length || (Math.pow(26, this._namespacePow.length) < masterShapes)) {
+				this._namespacePow.unshift(Math.pow(26, this._namespacePow.length));
+				_.invoke(this._shapes, 'resetNamespace');
+			}
+			
+			// Sort shapes by ID
+			this._shapes		= this._shapes.sort(function(shape1, shape2){
+				return (shape1.id == shape2.id) ? 0 : ((shape1.id > shape2.id) ? 1 : -1);
+			});
 			
-			// Add intermediate SVG files
-			if (that.config.shape.dest) {
-				files.shapes	= that._getShapeFiles(that.config.shape.dest);
-				that.verbose('Returning %d intermediate SVG files', files.shapes.length);
+			// Rebuild the namespaces from scratch if IDs get cleaned up or minified
+			if (this.config.svg.namespaceIDs && (this.config.svg.cleanupIDs || this.config.svg.minifyIDs)) {
+				_.invoke(this._shapes, 'resetNamespace');
 			}
-			that.info('Finished %s sprite compilation', _.keys(data).map(function(mode){
-				return '«' + mode + '»';
-			}).join(' + '));
 			
-			that._logStats(files);
+			// Reject aliases colliding with shape IDs or other aliases
+			this._resolveAliases();
+			
+			// Set the shape namespaces on all master shapes
+			var namespaces		= {};
+			_.reject(this._shapes, function(shape) { return !!shape.master; }).map(function(shape, index){
+				shape.setNamespace(this._shapeNamespace(shape, index, namespaces));
+			}, this);
+			
+			// Remove unreferenced and shorten referenced IDs
+			this._cleanupIds();
+			
+			// Detect shapes with identical content
+			this._dedupeShapes();
+		}
+		
+		var finished			= false;
+		try {
+			this._layout(args[0], function(error, files, data) {
+				if (finished) {
+					return;
+				}
+				finished		= true;
+				
+				// Add intermediate SVG files
+				if (that.config.shape.dest) {
+					files.shapes	= that._getShapeFiles(that.config.shape.dest);
+					that.verbose('Returning %d intermediate SVG files', files.shapes.length);
+				}
+				that.info('Finished %s sprite compilation', _.keys(data).map(function(mode){
+					return '«' + mode + '»';
+				}).join(' + '));
+				
+				that._logStats(files);
+
+				args[1](error, files, data);
+				that.emit('compiled');
+			});
+			
+		// In case the layout fails synchronously (e.g. due to a broken custom mode): Error
+		} catch(e) {
+			if (finished) {
+				throw e;
+			}
+			finished			= true;
+			this.error('SVGSpriter.compile: Sprite compilation failed (%s)', e.message);
+			args[1](e, null, null);
+			this.emit('compiled');
+		}
+	}
+}
 
-			args[1](error, files, data);
-			that.emit('compiled');
+/**
+ * Reject shape aliases that collide with shape IDs or with the aliases of preceding shapes
+ */
+SVGSpriter.prototype._resolveAliases = function() {
+	var used					= _.object(_.pluck(this._shapes, 'id'), []);
+	this._shapes.forEach(function(shape) {
+		shape.rejectedAliases	= [];
+		shape.getAliases().forEach(function(alias) {
+			if (_.has(used, alias)) {
+				shape.rejectedAliases.push(alias);
+				this.warn('Shape alias collision: Ignoring alias "%s" of "%s" as the ID is already in use', alias, shape.id);
+			} else {
+				used[alias]		= true;
+			}
+		}, this);
+	}, this);
+}
+
+/**
+ * Remove unreferenced IDs and / or shorten referenced IDs across all shapes (if configured)
+ * 
+ * Runs after namespacing, so the IDs are unique across the sprite. The shape IDs and aliases as
+ * well as the root, <title> and <desc> IDs of the shapes are never touched. Neither these nor any
+ * other ID remaining in the output (e.g. unreferenced IDs that aren't cleaned up) are used as
+ * minified IDs. The minified IDs are assigned in shape order, so they change as shapes get added
+ * or removed.
+ */
+SVGSpriter.prototype._cleanupIds = function() {
+	if (!this.config.svg.namespaceIDs || !(this.config.svg.cleanupIDs || this.config.svg.minifyIDs)) {
+		return;
+	}
+	var masters					= _.reject(this._shapes, function(shape) { return !!shape.master; }),
+	referenced					= {},
+	reserved					= {},
+	removed						= 0,
+	minified					= 0,
+	sequence					= 0,
+	minify						= this.config.svg.minifyIDs ? function() {
+		var id;
+		do {
+			id					= this._minifiedId(sequence++);
+		} while (_.has(reserved, id));
+		++minified;
+		return id;
+	}.bind(this) : null;
+	
+	this._shapes.forEach(function(shape) {
+		[shape.id].concat(shape.getAliases()).forEach(function(id) {
+			reserved[id]		= true;
 		});
+	});
+	masters.forEach(function(shape) {
+		shape.getReferencedIds().forEach(function(id) {
+			referenced[id]		= true;
+		});
+		shape.getRetainedIds().forEach(function(id) {
+			reserved[id]		= true;
+		});
+	});
+	
+	// Unreferenced IDs stay in place unless they get cleaned up
+	if (!this.config.svg.cleanupIDs) {
+		masters.forEach(function(shape) {
+			shape.getIds().forEach(function(id) {
+				if (!_.has(referenced, id)) {
+					reserved[id]	= true;
+				}
+			});
+		});
+	}
+	masters.forEach(function(shape) {
+		removed					+= shape.cleanupIds(referenced, this.config.svg.cleanupIDs, minify);
+	}, this);
+	this.verbose('Removed %d unreferenced and minified %d referenced IDs', removed, minified);
+}
+
+/**
+ * Return a short ID for a running number ("a" … "z", "aa" … "zz", "aaa" …)
+ * 
+ * @param {Number} n			Running number
+ * @return {String}				Short ID
+ */
+SVGSpriter.prototype._minifiedId = function(n) {
+	for (var id = ''; n >= 0; n = Math.floor(n / 26) - 1) {
+		id						= String.fromCharCode(97 + (n % 26)) + id;
+	}
+	return id;
+}
+
+/**
+ * Mark shapes with identical content as duplicates (if configured)
+ * 
+ * Shapes whose prepared SVG (and alignment) is identical to the one of a preceding shape become
+ * duplicates of that shape, so that the sprites need to include only a single physical copy.
+ * Shapes with distributed copies never get deduplicated.
+ */
+SVGSpriter.prototype._dedupeShapes = function() {
+	var originals				= {},
+	duplicates					= 0;
+	this._shapes.forEach(function(shape) {
+		shape.duplicateOf		= null;
+		if (this.config.shape.dedupe && !shape.master && !shape.copies) {
+			var hash			= crypto.createHash('md5').update(shape.svg.ready + '|' + shape.align, 'utf8').digest('hex');
+			if (hash in originals) {
+				shape.duplicateOf	= originals[hash];
+				++duplicates;
+				this.debug('Shape "%s" is a duplicate of "%s"', shape.id, shape.duplicateOf.id);
+			} else {
+				originals[hash]	= shape;
+			}
+		}
+	}, this);
+	if (duplicates) {
+		this.verbose('Found %d duplicate shape(s)', duplicates);
 	}
 }
 
+/**
+ * Return a unique namespace prefix for a shape according to the configured namespace strategy
+ * 
+ * With the "id" and "hash" strategies, the prefix only depends on the shape itself (its ID or
+ * content), so that the internal IDs of unchanged shapes are stable across builds. Shapes sharing
+ * the same content hash get a numeric suffix.
+ * 
+ * @param {SVGShape} shape		Shape
+ * @param {Number} index		Shape index
+ * @param {Object} namespaces	Namespace prefixes already in use
+ * @return {String}				Namespace prefix
+ */
+SVGSpriter.prototype._shapeNamespace = function(shape, index, namespaces) {
+	var ns, n;
+	switch (this.config.svg.namespaceStrategy) {
+		case 'id':
+			ns					= shape.id + '__';
+			break;
+		case 'hash':
+			var hash			= 'h' + crypto.createHash('md5').update(shape.svg.ready, 'utf8').digest('hex').substr(0, 7);
+			for (ns = hash + '__', n = 2; ns in namespaces; ++n) {
+				ns				= hash + '-' + n + '__';
+			}
+			break;
+		default:
+			ns					= this._indexNamespace(index);
+	}
+	namespaces[ns]				= true;
+	return ns;
+}
+
 /**
  * Return a unique namespace prefix for a shape index
  * 
@@ -292,7 +926,7 @@ SVGSpriter.prototype._layout = function(config, cb) {
 			return function(_cb){
 				layout.layout(files, k, m, _cb);
 			}
-		})(mode, config[mode].mode));
+		})(mode, config[mode].mode || null));
 	}
 	
 	async.parallelLimit(tasks, os.cpus().length * 2, function(error, data){
@@ -303,12 +937,22 @@ SVGSpriter.prototype._layout = function(config, cb) {
 /**
  * Return all current shapes
  * 
+ * If no callback is given, a promise is returned that resolves to an object
+ * with the property `result` (the list of shape files).
+ * 
  * @param {String} dest			Destination directory
  * @param {Function} cb			Callback
+ * @return {Promise}			Promise (only if no callback has been given)
  */
 SVGSpriter.prototype.getShapes = function(dest, cb) {
+	var promise					= _.isFunction(cb) ? null : new Promise(function(resolve, reject){
+		cb						= function(error, result) {
+			error ? reject(error) : resolve({result: result});
+		};
+	});
 	this._shapesDest.push([dest, cb]);
 	this._getShapes();
+	return promise;
 }
 	
 /**
@@ -374,4 +1018,18 @@ SVGSpriter.prototype._logStats = function(files) {
  */
 module.exports = function(config) {
 	return new SVGSpriter(config || {});
+}
+
+/**
+ * Register a named transformer globally (for all spriter instances)
+ * 
+ * @param {String} name					Transformer name
+ * @param {Function|String} transformer	Transformer function or module path / package name exporting it
+ * @return {Function}					Module export (for chaining)
+ * @throws {Error}						In case of an invalid transformer name or function
+ */
+module.exports.registerTransformer = function(name, transformer) {
+	name						= _.trim(name);
+	transformers[name]			= validateTransformer(name, transformer);
+	return module.exports;
 }
\ No newline at end of file
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+var _						= require('lodash'),
+path						= require('path'),
+fs							= require('fs'),
+crypto						= require('crypto'),
+mkdirp						= require('mkdirp'),
+/**
+ * svg-sprite version (part of every cache key)
+ *
+ * @type {String}
+ */
+version						= require('../../package.json').version;
+
+/**
+ * Persistent transformation cache
+ *
+ * Stores the result of the transformation chain (the transformed SVG along with the shape
+ * variants and the messages reported by the transformers) indexed by a hash of the source SVG,
+ * the transformation configuration and the svg-sprite version.
+ *
+ * As neither the values captured by a function nor the modules it requires are part of its
+ * source, transformer functions may carry a `cacheKey` property that gets hashed as well.
+ * Custom callback transformations without a `cacheKey` disable the cache altogether.
+ *
+ * @param {String} dir					Cache directory
+ * @param {SVGSpriter} spriter			Spriter instance
+ */
+function SVGSpriterCache(dir, spriter) {
+	this.dir				= dir;
+	this._spriter			= spriter;
+	this._transform			= JSON.stringify([
+		spriter.config.transform,
+		!!spriter.config.svg.xmlDeclaration,
+		!!spriter.config.svg.doctypeDeclaration
+	], function(key, value) {
+		return _.isFunction(value) ? [value.toString(), value.cacheKey] : value;
+	});
+	this.enabled			= _.every(spriter.config.transform, function(transform) {
+		if (_.isFunction(transform[1]) && _.isUndefined(transform[1].cacheKey)) {
+			this._spriter.verbose('Disabled the transformation cache as the custom transformation "%s" has no cache key', transform[0]);
+			return false;
+		}
+		return true;
+	}, this);
+
+	try {
+		mkdirp.sync(this.dir);
+		this._spriter.debug('Using transformation cache directory "%s"', this.dir);
+	} catch(e) {
+		this._spriter.warn('Couldn\'t create transformation cache directory "%s" (%s)', this.dir, e.message);
+	}
+}
+
+/**
+ * Prototype
+ *
+ * @type {Object}
+ */
+SVGSpriterCache.prototype = {};
+
+/**
+ * Create the cache key for a (not yet transformed) shape
+ *
+ * @param {SVGShape} shape				Shape
+ * @return {String}						Cache key
+ */
+SVGSpriterCache.prototype.key = function(shape) {
+	var hash				= crypto.createHash('md5')
+		.update(version)
+		.update(this._transform);
+	
+	// Include the implementations and cache keys of named transformers (they may be registered at runtime)
+	this._spriter.config.transform.forEach(function(transform) {
+		if (!_.isFunction(transform[1])) {
+			var transformer	= this._spriter._resolveTransformer(transform[0]);
+			hash.update('' + transformer).update(JSON.stringify(transformer ? transformer.cacheKey : null) || '');
+		}
+	}, this);
+	
+	return hash.update(shape.getSVG(false)).digest('hex');
+}
+
+/**
+ * Return the cached SVG for a cache key
+ *
+ * @param {String} key					Cache key
+ * @return {String}						Cached SVG (or null if not available)
+ */
+SVGSpriterCache.prototype.get = function(key) {
+	try {
+		return fs.readFileSync(path.join(this.dir, key + '.svg'), 'utf8');
+	} catch(e) {
+		return null;
+	}
+}
+
+/**
+ * Return the cached shape variants for a cache key
+ *
+ * @param {String} key					Cache key
+ * @return {Array}						Cached shape variants
+ */
+SVGSpriterCache.prototype.getVariants = function(key) {
+	return this._getData(key).variants || [];
+}
+
+/**
+ * Return the cached transformer reports for a cache key
+ *
+ * @param {String} key					Cache key
+ * @return {Array}						Cached reports (log level and message pairs)
+ */
+SVGSpriterCache.prototype.getReports = function(key) {
+	return this._getData(key).reports || [];
+}
+
+/**
+ * Return the cached data accompanying an SVG
+ *
+ * @param {String} key					Cache key
+ * @return {Object}						Cached data
+ */
+SVGSpriterCache.prototype._getData = function(key) {
+	try {
+		var data			= JSON.parse(fs.readFileSync(path.join(this.dir, key + '.json'), 'utf8')) || {};
+		return _.isArray(data) ? {variants: data} : data;
+	} catch(e) {
+		return {};
+	}
+}
+
+/**
+ * Store an SVG (and its variants and transformer reports) in the cache
+ *
+ * @param {String} key					Cache key
+ * @param {String} svg					SVG
+ * @param {Array} variants				Shape variants
+ * @param {Array} reports				Transformer reports
+ * @return {SVGSpriterCache}			Self reference
+ */
+SVGSpriterCache.prototype.set = function(key, svg, variants, reports) {
+	try {
+		if ((variants && variants.length) || (reports && reports.length)) {
+			this._write(path.join(this.dir, key + '.json'), JSON.stringify({variants: variants || [], reports: reports || []}));
+		}
+		this._write(path.join(this.dir, key + '.svg'), svg);
+	} catch(e) {
+		this._spriter.warn('Couldn\'t write to the transformation cache (%s)', e.message);
+	}
+	return this;
+}
+
+/**
+ * Write a cache file
+ *
+ * Writes to a temporary file first so that concurrent builds never read incomplete files.
+ *
+ * @param {String} file					File path
+ * @param {String} content				File content
+ */
+SVGSpriterCache.prototype._write = function(file, content) {
+	var tmp					= file + '.' + process.pid;
+	fs.writeFileSync(tmp, content);
+	fs.renameSync(tmp, file);
+}
+
+/**
+ * Module export
+ */
+module.exports = SVGSpriterCache;
\ No newline at end of file
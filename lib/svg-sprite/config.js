@@ -14,13 +14,10 @@ var _									= require('lodash'),
 	path								= require('path'),
 	yaml								= require('js-yaml'),
 	fs									= require('fs'),
+	util								= require('util'),
 	winston								= require('winston'),
-	/**
-	 * Sprite types
-	 * 
-	 * @type {Array} 
-	 */
-	spriteTypes							= ['css', 'view', 'defs', 'symbol', 'stack'],
+	SCHEMA								= require('./schema'),
+	PLUGIN								= require('./plugin'),
 	/**
 	 * Default list of transformations
 	 * 
@@ -51,6 +48,24 @@ var _									= require('lodash'),
 		 * @type {Boolean}
 		 */
 		namespaceIDs					: true,
+		/**
+		 * ID namespace strategy ('index', 'id' or 'hash')
+		 * 
+		 * @type {String}
+		 */
+		namespaceStrategy				: 'index',
+		/**
+		 * Remove unreferenced IDs from the shapes (requires namespaced IDs)
+		 * 
+		 * @type {Boolean}
+		 */
+		cleanupIDs						: false,
+		/**
+		 * Shorten the referenced IDs of the shapes (requires namespaced IDs)
+		 * 
+		 * @type {Boolean}
+		 */
+		minifyIDs						: false,
 		/**
 		 * Add width and height attributes to the sprite SVG
 		 * 
@@ -59,6 +74,63 @@ var _									= require('lodash'),
 		dimensionAttributes				: true
 	};
 
+/**
+ * Expand a padding value (a single number or an Array of 1 to 4 numbers, similar to CSS) to the four edges
+ * 
+ * @param {Number|Array} padding		Padding
+ * @return {Object}						Expanded padding
+ */
+function expandPadding(padding) {
+	if (!_.isArray(padding)) {
+		var spacing						= Math.max(0, parseInt(padding || 0, 10));
+		return {top: spacing, right: spacing, bottom: spacing, left: spacing};
+	}
+	var spacing							= padding.map(function(n){ return Math.max(0, n); });
+	switch(spacing.length) {
+		case 1:
+			return {top: spacing[0], right: spacing[0], bottom: spacing[0], left: spacing[0]};
+		case 2:
+			return {top: spacing[0], right: spacing[1], bottom: spacing[0], left: spacing[1]};
+		case 3:
+			return {top: spacing[0], right: spacing[1], bottom: spacing[2], left: spacing[1]};
+		default:
+			return {top: spacing[0], right: spacing[1], bottom: spacing[2], left: spacing[3]};
+	}
+}
+
+/**
+ * Normalize the overrides for a single shape
+ * 
+ * Only the dimension, spacing, meta data and alignment options may be overridden per shape.
+ * 
+ * @param {Object} overrides			Shape overrides
+ * @return {Object}						Normalized overrides
+ */
+function normalizeOverrides(overrides) {
+	var normalized						= {};
+	overrides							= _.isPlainObject(overrides) ? overrides : {};
+	if (_.isPlainObject(overrides.dimension)) {
+		normalized.dimension			= _.pick(overrides.dimension, ['maxWidth', 'maxHeight', 'precision', 'attributes', 'cropToContent', 'fontSize']);
+	}
+	if (_.isPlainObject(overrides.spacing)) {
+		normalized.spacing				= _.pick(overrides.spacing, ['padding', 'box']);
+		if ('padding' in normalized.spacing) {
+			normalized.spacing.padding	= expandPadding(normalized.spacing.padding);
+		}
+	}
+	if (_.isPlainObject(overrides.meta)) {
+		normalized.meta					= _.extend({}, overrides.meta);
+	}
+	if (_.isPlainObject(overrides.align)) {
+		normalized.align				= {};
+		for (var t in overrides.align) {
+			var template				= t.length ? ((t.indexOf('%s') >= 0) ? t : ('%s' + t)) : '%s';
+			normalized.align[template]	= Math.max(0, Math.min(1, parseFloat(overrides.align[t], 10)));
+		}
+	}
+	return normalized;
+}
+
 /**
  * SVGSpriter configuration
  * 
@@ -94,8 +166,28 @@ function SVGSpriterConfig(config) {
 	}
 	
 	this.log.debug('Started logging');
+	
+	// Validate the configuration
+	// (mode keys might refer to modes registered later on and are checked on compilation)
+	var warnings						= [],
+	problems							= SCHEMA.validate(config, function(mode, explicit) {
+		return !explicit || PLUGIN.resolvable(mode);
+	}, warnings);
+	warnings.forEach(function(warning) {
+		this.log.warn('SVGSpriterConfig: Ignoring invalid configuration (%s)', warning);
+	}, this);
+	if (problems.length) {
+		var error						= util.format('SVGSpriterConfig: Invalid configuration\n - %s', problems.join('\n - ')),
+		e								= new Error(error);
+		e.name							= 'ArgumentError';
+		e.errno							= 1430812646;
+		e.problems						= problems;
+		this.log.error(error);
+		throw e;
+	}
 
 	this.dest							= path.resolve(config.dest || '.');
+	this.cache							= (_.isString(config.cache) && config.cache.trim().length) ? path.resolve(config.cache.trim()) : null;
 	
 	this.log.debug('Prepared general options');
 	
@@ -116,7 +208,7 @@ function SVGSpriterConfig(config) {
 			meta						= meta ? yaml.safeLoad(meta) : {};
 			for (var m in meta) {
 				if (_.isPlainObject(meta[m])) {
-					this.shape.meta[path.join(path.dirname(m), path.basename(m, '.svg'))] = _.pick(meta[m], ['title', 'description']);
+					this.shape.meta[path.join(path.dirname(m), path.basename(m, '.svg'))] = meta[m];
 				}
 			}
 			this.log.debug('Processed meta data file "%s"', path.basename(metaFile));
@@ -159,29 +251,13 @@ function SVGSpriterConfig(config) {
 	
 	// Expand spacing options to arrays
 	this.shape.spacing					= ('spacing' in this.shape) ? (this.shape.spacing || {}) : {};
-	['padding'].forEach(function(property){
-		if (!_.isArray(this.spacing[property])) {
-			var spacing					= Math.max(0, parseInt(this.spacing[property] || 0, 10));
-			this.spacing[property]		= {top: spacing, right: spacing, bottom: spacing, left: spacing};
-		} else {
-			var spacing					= this.spacing[property].map(function(n){ return Math.max(0, n); });
-			switch(spacing.length) {
-				case 1:
-					spacing				= {top: spacing[0], right: spacing[0], bottom: spacing[0], left: spacing[0]};
-					break;
-				case 2:
-					spacing				= {top: spacing[0], right: spacing[1], bottom: spacing[0], left: spacing[1]};
-					break;
-				case 3:
-					spacing				= {top: spacing[0], right: spacing[1], bottom: spacing[2], left: spacing[1]};
-					break;
-				default:
-					spacing				= {top: spacing[0], right: spacing[1], bottom: spacing[2], left: spacing[3]};
-					break;
-			}
-			this.spacing[property]		= spacing;
-		}
-	}, this.shape);
+	this.shape.spacing.padding			= expandPadding(this.shape.spacing.padding);
+	
+	// Deduplication of identical shapes
+	this.shape.dedupe					= !!this.shape.dedupe;
+	
+	// Prepare per-shape overrides (if configured)
+	this.shape.overrides				= this._overrides(('overrides' in this.shape) ? this.shape.overrides : null);
 	
 	this.log.debug('Prepared `shape` options');
 	
@@ -190,6 +266,9 @@ function SVGSpriterConfig(config) {
 	this.svg.xmlDeclaration				= this.svg.xmlDeclaration || false;
 	this.svg.doctypeDeclaration			= this.svg.doctypeDeclaration || false;
 	this.svg.dimensionAttributes		= this.svg.dimensionAttributes || false;
+	this.svg.namespaceStrategy			= (['id', 'hash'].indexOf(this.svg.namespaceStrategy) >= 0) ? this.svg.namespaceStrategy : 'index';
+	this.svg.cleanupIDs					= this.svg.cleanupIDs || false;
+	this.svg.minifyIDs					= this.svg.minifyIDs || false;
 	
 	this.log.debug('Prepared `svg` options');
 	
@@ -198,7 +277,7 @@ function SVGSpriterConfig(config) {
 	if (_.isArray(transforms)) {
 		transformers:	for (var t = 0; t < transforms.length; ++t) {
 			if (_.isString(transforms[t])) {
-				transforms[t]			= JSON.parse('{"' + transforms[t] + '":true}');
+				transforms[t]			= _.object([transforms[t]], [true]);
 			} else if (_.isFunction(transforms[t])) {
 				var custom				= {};
 				custom.custom			= transforms[t];
@@ -228,6 +307,62 @@ function SVGSpriterConfig(config) {
 	this.log.verbose('Initialized spriter configuration');
 }
 
+/**
+ * Prepare the per-shape overrides
+ * 
+ * Overrides may be given as path to a YAML / JSON file, as an object (both indexed by shape ID or
+ * file name) or as a callback returning the overrides for a particular shape. In any case, the
+ * result is a callback returning the normalized overrides for a shape.
+ * 
+ * @param {String|Object|Function} overrides	Overrides
+ * @return {Function}					Overrides callback
+ * @throws {Error}						In case of an invalid overrides file path
+ */
+SVGSpriterConfig.prototype._overrides = function(overrides) {
+	if (_.isFunction(overrides)) {
+		return function(shape) {
+			return normalizeOverrides(overrides(shape));
+		};
+	}
+	
+	// Parse the overrides file
+	if (_.isString(overrides)) {
+		var overridesFile				= path.resolve(_.trim(overrides)),
+		stat							= null,
+		error							= null;
+		try {
+			stat						= _.trim(overrides).length ? fs.statSync(overridesFile) : null;
+		} catch(e) {}
+		if (!_.trim(overrides).length) {
+			error						= 'SVGSpriterConfig: You must provide a shape overrides file path';
+		} else if (!stat) {
+			error						= util.format('SVGSpriterConfig: Shape overrides file "%s" doesn\'t exist', overridesFile);
+		} else if (!stat.isFile()) {
+			error						= util.format('SVGSpriterConfig: Shape overrides file "%s" is not a file', overridesFile);
+		}
+		if (error) {
+			var e						= new Error(error);
+			e.name						= 'ArgumentError';
+			e.errno						= 1431372214;
+			this.log.error(error);
+			throw e;
+		}
+		overrides						= yaml.safeLoad(fs.readFileSync(overridesFile, 'utf8')) || {};
+		this.log.debug('Processed overrides file "%s"', path.basename(overridesFile));
+	}
+	
+	var index							= {};
+	for (var o in overrides) {
+		if (_.isPlainObject(overrides[o])) {
+			index[path.join(path.dirname(o), path.basename(o, '.svg'))] = normalizeOverrides(overrides[o]);
+		}
+	}
+	return function(shape) {
+		var name						= path.join(path.dirname(shape.source.relative), path.basename(shape.source.relative, '.svg'));
+		return (shape.id in index) ? index[shape.id] : ((name in index) ? index[name] : {});
+	};
+}
+
 /**
  * Pick out the relevant mode options out of a configuration object 
  * 
@@ -240,9 +375,8 @@ SVGSpriterConfig.prototype.filter = function(config) {
 	config								= config || {};
 	for (var m in config) {
 		var modeConfig					= _.isPlainObject(config[m]) ? config[m] : ((config[m] === true) ? {} : null);
-		if ((modeConfig !== null) && (spriteTypes.indexOf(modeConfig.mode || m) >= 0)) {
+		if (modeConfig !== null) {
 			filtered[m]					= modeConfig;
-			filtered[m].mode			= modeConfig.mode || m;
 		}
 	}
 	return filtered;
@@ -12,6 +12,8 @@
 
 var _                               = require('lodash'),
 util                                = require('util'),
+path                                = require('path'),
+crypto								= require('crypto'),
 defaultConfig                       = {
     css                             : {
         dest                        : 'css',
@@ -94,15 +96,38 @@ function SVGSpriteLayouter(spriter, config) {
     this.data                       = {};
     this._commonData                = _.extend({shapes: []}, defaultVariables, this._spriter.config.variables);
     
+    // Register the shape ID collisions
+    this._commonData.collisions     = this._spriter._collisions.map(function(collision) {
+        return _.omit(collision, 'sources');
+    });
+    
+    // Register the files that have been skipped due to errors
+    this._commonData.rejected       = this._spriter._rejected.map(function(rejection) {
+        return {
+            name                    : rejection.file.path.substr(rejection.file.base.length + path.sep.length),
+            path                    : this._spriter._displayPath(rejection.file),
+            error                   : rejection.error.message,
+            errno                   : rejection.error.errno || null
+        };
+    }, this);
+    
     // Register the common shapes data
     this._spriter._shapes.forEach(function(shape, index) {
         var dimensions              = shape.getDimensions(),
         padding                     = shape.config.spacing.padding;
         
+        // Report deprecated shapes
+        if (shape.meta.deprecated && !shape.master) {
+            this._spriter.warn('Shape "%s" is deprecated%s', shape.id, shape.meta.deprecation ? (' (' + shape.meta.deprecation + ')') : '');
+        }
+        
         this._commonData.shapes.push({
             name                    : shape.id,
             base                    : shape.base,
             master                  : shape.master ? shape.master.id : null,
+            duplicate               : shape.duplicateOf ? shape.duplicateOf.id : null,
+            aliases                 : shape.getAliases(),
+            meta                    : shape.meta,
             width                   : {
                 inner               : dimensions.width - padding.right - padding.left,
                 outer               : dimensions.width
@@ -116,6 +141,11 @@ function SVGSpriteLayouter(spriter, config) {
         });
     }, this);
     
+    // Fingerprint the shapes (so that cached layouts are only reused for identical shapes)
+    this._shapesFingerprint         = this._spriter._shapes.reduce(function(hash, shape) {
+    	return hash.update(shape.getSVG(true), 'utf8');
+    }, crypto.createHash('md5').update(JSON.stringify(this._commonData.shapes), 'utf8')).digest('hex');
+    
     this._spriter.debug('Created layouter instance');
 }
 
@@ -131,17 +161,71 @@ SVGSpriteLayouter.prototype = {};
  * 
  * @param {Object} files            Files
  * @param {String} key				Result key
- * @param {String} mode				Mode
+ * @param {String|Function} mode	Explicitly given mode (NULL if the mode is given by the key)
  * @param {Function} cb             Callback
  */
 SVGSpriteLayouter.prototype.layout = function(files, key, mode, cb) {
-	this._spriter.info('Laying out «%s» sprite («%s» mode)', key, mode);
-	var SVGSpriteLayout				= require('./mode/' + mode),
-    config                          = _.merge(_.merge(_.clone(defaultConfig[mode], true), {svg: this._spriter.config.svg}), this.config[key] || {}),
+	var SVGSpriteLayout				= this._spriter._resolveMode(mode || key, !!mode),
+    config                          = _.merge(_.merge(this._defaultConfig(SVGSpriteLayout, key), {svg: this._spriter.config.svg}), this.config[key] || {}),
     data                            = _.merge(_.merge(_.merge({}, this._commonData), this._spriter.config.variables), config.variables),
-    sprite                          = new SVGSpriteLayout(this._spriter, config, data, key);
+    sprite                          = new SVGSpriteLayout(this._spriter, config, data, key),
+    fingerprint						= _.isFunction(sprite.fingerprint) ? sprite.fingerprint() : null,
+    shapes							= this._shapesFingerprint,
+    label							= _.isString(mode) ? mode : (sprite.mode || key),
+    cache							= this._spriter._layoutCache;
+    
+    // If the sprite has been laid out with identical input before: Reuse the previous result
+    if (fingerprint && _.has(cache, key) && (cache[key].fingerprint == fingerprint) && (cache[key].shapes == shapes)) {
+    	this._spriter.info('Reusing «%s» sprite («%s» mode)', key, label);
+    	files[key]					= this._cloneFiles(cache[key].files);
+    	cb(null, _.cloneDeep(cache[key].data));
+    	return;
+    }
+    
+	this._spriter.info('Laying out «%s» sprite («%s» mode)', key, label);
     files[key]						= {};
-    sprite.layout(files[key], cb);
+    sprite.layout(files[key], function(error, data) {
+    	if (!error && fingerprint) {
+    		cache[key]				= {fingerprint: fingerprint, shapes: shapes, files: this._cloneFiles(files[key]), data: _.cloneDeep(data)};
+    	} else {
+    		delete cache[key];
+    	}
+    	cb(error, data);
+    }.bind(this));
+}
+
+/**
+ * Return the default configuration for a mode
+ * 
+ * Custom modes inherit the defaults of the built-in mode they extend (if any) or a generic default
+ * configuration, extended by their own `defaultConfig` (if the mode class provides one).
+ * 
+ * @param {Function} SVGSpriteLayout	Mode class
+ * @param {String} key				Result key
+ * @return {Object}					Default configuration
+ */
+SVGSpriteLayouter.prototype._defaultConfig = function(SVGSpriteLayout, key) {
+	var mode						= SVGSpriteLayout.prototype.mode;
+	return _.merge(_.clone(defaultConfig[mode] || {
+		dest                        : key,
+		prefix                      : '.svg-%s',
+		dimensions                  : '-dims',
+		sprite                      : 'svg/sprite.' + key + '.svg',
+		example						: false,
+		bust						: false
+	}, true), SVGSpriteLayout.defaultConfig || {});
+}
+
+/**
+ * Clone a set of files
+ * 
+ * @param {Object} files			Files
+ * @return {Object}					Cloned files
+ */
+SVGSpriteLayouter.prototype._cloneFiles = function(files) {
+	return _.mapValues(files, function(file) {
+		return file.clone();
+	});
 }
 
 /**
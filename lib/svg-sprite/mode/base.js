@@ -165,7 +165,12 @@ SVGSpriteBase.prototype._buildCSSResources = function(files, cb) {
 	for (var extension in this.config.render) {
 		tasks.push(function(renderConfig, data, spriter, ext){
 			return function(_cb) {
-				var out				= mustache.render(fs.readFileSync(renderConfig.template, 'utf-8'), data);
+				try {
+					var out			= mustache.render(fs.readFileSync(renderConfig.template, 'utf-8'), data);
+				} catch(e) {
+					_cb(e);
+					return;
+				}
 				if (out.length) {
 					files[ext]		= new File({
 						base		: spriter.config.dest,
@@ -191,7 +196,12 @@ SVGSpriteBase.prototype._buildCSSResources = function(files, cb) {
  */
 SVGSpriteBase.prototype._buildHTMLExample = function(files, cb) {
 	if (this.config.example) {
-		var out						= mustache.render(fs.readFileSync(this.config.example.template, 'utf-8'), this.data);
+		try {
+			var out					= mustache.render(fs.readFileSync(this.config.example.template, 'utf-8'), this.data);
+		} catch(e) {
+			cb(e);
+			return;
+		}
 		if (out.length) {
 			files.example			= new File({
 				base				: this._spriter.config.dest,
@@ -205,6 +215,60 @@ SVGSpriteBase.prototype._buildHTMLExample = function(files, cb) {
 	cb(null, this.data);
 }
 
+/**
+ * Return a fingerprint of the sprite's input parameters
+ * 
+ * The fingerprint covers the (resolved) configuration, the non-shape templating data (including
+ * the source of lambda variables) and the contents of all involved templates. Shapes are
+ * fingerprinted separately by the layouter.
+ * 
+ * @return {String}					Fingerprint (or NULL if it can't be determined)
+ */
+SVGSpriteBase.prototype.fingerprint = function() {
+	var hash						= crypto.createHash('md5').update(JSON.stringify([this.mode, this.key, this.config, _.omit(this.data, 'shapes')], function(key, value) {
+		return _.isFunction(value) ? value.toString() : value;
+	}), 'utf8');
+	try {
+		for (var extension in this.config.render) {
+			hash.update(fs.readFileSync(this.config.render[extension].template, 'utf-8'), 'utf8');
+		}
+		if (this.config.example) {
+			hash.update(fs.readFileSync(this.config.example.template, 'utf-8'), 'utf8');
+		}
+	} catch(e) {
+		return null;
+	}
+	return hash.digest('hex');
+}
+
+/**
+ * Return the names a shape is available under (its own and the ones of its aliases)
+ * 
+ * @param {SVGShape} shape			Shape
+ * @return {Array}					Names (objects with `base` and `state` properties)
+ */
+SVGSpriteBase.prototype._getNames = function(shape) {
+	return [{base: shape.base, state: shape.state}].concat(shape.getAliases().map(function(alias) {
+		var state					= alias.split(shape.config.id.pseudo);
+		return {base: state.shift(), state: state.shift() || null};
+	}));
+}
+
+/**
+ * Join several selector lists (renumbering their first and last flags)
+ * 
+ * @param {Array} selectors			Selector lists
+ * @return {Array}					Joined selector list
+ */
+SVGSpriteBase.prototype._joinSelectors = function(selectors) {
+	var joined						= _.flatten(selectors);
+	joined.forEach(function(selector, index) {
+		selector.first				= !index;
+		selector.last				= (index == (joined.length - 1));
+	});
+	return joined;
+}
+
 /**
  * Return a coordinate (number) with 'px' appended if non-zero
  * 
@@ -221,11 +221,11 @@ SVGSpriteCss.prototype._layout = function(files, cb) {
  */
 SVGSpriteCss.prototype._layoutSimple = function(pseudoShapeMap) {
 	this._spriter._shapes.forEach(function(shape, index){
-		if (this._displaceable || !shape.master) {
+		if (!shape.duplicateOf && (this._displaceable || !shape.master)) {
 			this._addShapeToSimpleCssSprite(shape, pseudoShapeMap[shape.base], index, !index + (index == this._spriter._shapes.length - 1) * 2);
 		}
 	}, this);
-	return this;
+	return this._addDuplicatesToCSSSprite(pseudoShapeMap);
 }
 
 /**
@@ -293,8 +293,8 @@ SVGSpriteCss.prototype._layoutBinPacked = function(pseudoShapeMap) {
 	// Run through all shapes and add them to the sprite
 	this._spriter._shapes.forEach(function(shape, index){
 		
-		// Skip non-master shapes
-		if (!shape.master) {
+		// Skip non-master and duplicate shapes
+		if (!shape.master && !shape.duplicateOf) {
 			var dimensions			= shape.getDimensions(),
 			position				= positions[index],
 			rootAttributes			= {id: shape.id, x: position.x, y: position.y};
@@ -306,6 +306,28 @@ SVGSpriteCss.prototype._layoutBinPacked = function(pseudoShapeMap) {
 		}
 	}, this);
 	
+	return this._addDuplicatesToCSSSprite(pseudoShapeMap);
+}
+
+/**
+ * Add the duplicate shapes to the CSS sprite
+ * 
+ * Duplicate shapes don't occupy any space in the sprite but share the coordinates of their
+ * original shapes (while still getting their own CSS rules).
+ * 
+ * @param {Object} pseudoShapeMap	Pseudo shape map
+ * @return {SVGSpriteCss}			Self reference
+ */
+SVGSpriteCss.prototype._addDuplicatesToCSSSprite = function(pseudoShapeMap) {
+	this._spriter._shapes.forEach(function(shape, index){
+		if (shape.duplicateOf) {
+			var original			= this.data.shapes[this._spriter._shapes.indexOf(shape.duplicateOf)].position.absolute;
+			this._addShapeToCSSSprite(shape, pseudoShapeMap[shape.base], index, !index + (index == this._spriter._shapes.length - 1) * 2, {}, original.x, original.y);
+			this.data.shapes[index].__defineGetter__('svg', function() {
+				return this._svg || '';
+			});
+		}
+	}, this);
 	return this;
 }
 
@@ -334,44 +356,49 @@ SVGSpriteCss.prototype._refineRootAttributes = function(shape, index, rootAttrib
  */
 SVGSpriteCss.prototype._addShapeToCSSSprite = function(shape, needsRegular, index, position, rootAttributes, positionX, positionY) {
 	
-	// Prepare the selectors
-	var selector					= {
-		shape						: (needsRegular || shape.state) ? [{
-			expression				: util.format(this.config.prefix, shape.base + (shape.state ? (':' + shape.state) : '')),
-			raw						: util.format(this.config.prefix, shape.base + (shape.state ? (':' + shape.state) : '')),
-			first					: true,
-			last					: false
-		}, {
-			expression				: util.format(this.config.prefix, shape.base + '\\:' + (shape.state || 'regular')),
-			raw						: util.format(this.config.prefix, shape.base + ':' + (shape.state || 'regular')),
-			first					: false,
-			last					: true
-		}] : [{
-			expression				: util.format(this.config.prefix, shape.base),
-			raw						: util.format(this.config.prefix, shape.base),
-			first					: true,
-			last					: true
-		}]
+	// Prepare the selectors (including the ones of the shape's aliases)
+	var names						= this._getNames(shape),
+	selector						= {
+		shape						: this._joinSelectors(names.map(function(name) {
+			return (needsRegular || name.state) ? [{
+				expression			: util.format(this.config.prefix, name.base + (name.state ? (':' + name.state) : '')),
+				raw					: util.format(this.config.prefix, name.base + (name.state ? (':' + name.state) : '')),
+				first				: true,
+				last				: false
+			}, {
+				expression			: util.format(this.config.prefix, name.base + '\\:' + (name.state || 'regular')),
+				raw					: util.format(this.config.prefix, name.base + ':' + (name.state || 'regular')),
+				first				: false,
+				last				: true
+			}] : [{
+				expression			: util.format(this.config.prefix, name.base),
+				raw					: util.format(this.config.prefix, name.base),
+				first				: true,
+				last				: true
+			}];
+		}, this))
 	};
 	
 	// Prepare the dimension properties
 	if (this.config.dimensions !== true) {
-		selector.dimensions			= shape.state ? [{	
-			expression				: util.format(this.config.dimensions, shape.base) + ':' + shape.state,
-			raw						: util.format(this.config.dimensions, shape.base) + ':' + shape.state,
-			first					: true,
-			last					: false
-		}, {
-			expression				: util.format(this.config.dimensions, shape.base + '\\:' + shape.state),
-			raw						: util.format(this.config.dimensions, shape.base + ':' + shape.state),
-			first					: false,
-			last					: true
-		}] : [{
-			expression				: util.format(this.config.dimensions, shape.base),
-			raw						: util.format(this.config.dimensions, shape.base),
-			first					: true,
-			last					: true
-		}];
+		selector.dimensions			= this._joinSelectors(names.map(function(name) {
+			return name.state ? [{	
+				expression			: util.format(this.config.dimensions, name.base) + ':' + name.state,
+				raw					: util.format(this.config.dimensions, name.base) + ':' + name.state,
+				first				: true,
+				last				: false
+			}, {
+				expression			: util.format(this.config.dimensions, name.base + '\\:' + name.state),
+				raw					: util.format(this.config.dimensions, name.base + ':' + name.state),
+				first				: false,
+				last				: true
+			}] : [{
+				expression			: util.format(this.config.dimensions, name.base),
+				raw					: util.format(this.config.dimensions, name.base),
+				first				: true,
+				last				: true
+			}];
+		}, this));
 	}
 	
 	// Register the SVG parameters
@@ -20,7 +20,7 @@ function SVGSpriteCssPacker(shapes) {
 	this.blocks					= [];
 	this.positions				= [];
 	this.shapes.forEach(function(shape, index){
-		if (!shape.master) {
+		if (!shape.master && !shape.duplicateOf) {
 			var dimensions		= shape.getDimensions();
 			this.blocks.push({index: index, width: dimensions.width, height: dimensions.height});
 		}
@@ -44,19 +44,21 @@ SVGSpriteDefs.prototype = _.create(SVGSpriteStandalone.prototype, {
  * @return {void}
  */
 SVGSpriteDefs.prototype.layout = function(files, cb) {
+	var that						= this;
 	this._layout(files, cb, function(shape, dataShape, index){
-		var dimensionAttributes		= shape.config.dimension.attributes;
+		var dimensionAttributes		= shape.config.dimension.attributes,
+		transform					= function(shapeDOM) {
+			shapeDOM.setAttribute('id', shape.id);
+			
+			if (!dimensionAttributes) {
+				shapeDOM.removeAttribute('width');
+				shapeDOM.removeAttribute('height');
+			}
+		};
 		
 		// Create the SVG getter/setter
 		dataShape.__defineGetter__('svg', function() {
-			return this._svg || shape.getSVG(true, function(shapeDOM) {
-				shapeDOM.setAttribute('id', shape.id);
-				
-				if (!dimensionAttributes) {
-					shapeDOM.removeAttribute('width');
-					shapeDOM.removeAttribute('height');
-				}
-			});
+			return this._svg || that._getShapeSVG(shape, transform);
 		});
 	});
 }
@@ -61,12 +61,15 @@ SVGSpriteStack.prototype._init = function() {
  * @return {void}
  */
 SVGSpriteStack.prototype.layout = function(files, cb) {
+	var that						= this;
 	this._layout(files, cb, function(shape, dataShape, index){
 		var dimensionAttributes		= shape.config.dimension.attributes;
 		
-		// Create the SVG getter/setter
+		// Create the SVG getter/setter (aliases are empty views preceding the shape)
 		dataShape.__defineGetter__('svg', function() {
-			return this._svg || shape.getSVG(true, function(shapeDOM) {
+			return this._svg || shape.getAliases().map(function(alias) {
+				return '<view id="' + _.escape(alias) + '" viewBox="0 0 ' + that.maxDimensions.width + ' ' + that.maxDimensions.height + '"/>';
+			}).join('') + shape.getSVG(true, function(shapeDOM) {
 				shapeDOM.setAttribute('id', shape.id);
 				
 				if (!dimensionAttributes) {
@@ -87,7 +90,9 @@ SVGSpriteStack.prototype.layout = function(files, cb) {
  */
 SVGSpriteStack.prototype._buildSVG = function(xmlDeclaration, doctypeDeclaration) {
 	var svg							= new SVGSprite(this.declaration(this.config.svg.xmlDeclaration, xmlDeclaration), this.declaration(this.config.svg.doctypeDeclaration, doctypeDeclaration), {viewBox: '0 0 ' + this.maxDimensions.width + ' ' + this.maxDimensions.height}, true);
-	svg.add('<style>:root>svg{display:none}:root>svg:target{display:block}</style>');
+	svg.add(_.some(this.data.shapes, 'aliases.length') ?
+		'<style>:root>svg{display:none}:root>svg:target,:root>view:target~svg{display:block}:root>view:target~svg~svg{display:none}</style>' :
+		'<style>:root>svg{display:none}:root>svg:target{display:block}</style>');
 	svg.add(_.pluck(this.data.shapes, 'svg'));
 	
 	return svg.toFile(this._spriter.config.dest, this._addCacheBusting(svg));
@@ -72,22 +72,24 @@ SVGSpriteStandalone.prototype._layout = function(files, cb, extend) {
 			doctypeDeclaration		= doctypeDeclaration || shape.doctypeDeclaration;
 			_.assign(this.data.shapes[index], {
 				selector			: {
-					dimensions		: shape.state ? [{	
-						expression	: util.format(this.config.dimensions, shape.base) + ':' + shape.state,
-						raw			: util.format(this.config.dimensions, shape.base) + ':' + shape.state,
-						first		: true,
-						last		: false
-					}, {
-						expression	: util.format(this.config.dimensions, shape.base + '\\:' + shape.state),
-						raw			: util.format(this.config.dimensions, shape.base + ':' + shape.state),
-						first		: false,
-						last		: true
-					}] : [{
-						expression	: util.format(this.config.dimensions, shape.base),
-						raw			: util.format(this.config.dimensions, shape.base),
-						first		: true,
-						last		: true
-					}]
+					dimensions		: this._joinSelectors(this._getNames(shape).map(function(name) {
+						return name.state ? [{	
+							expression	: util.format(this.config.dimensions, name.base) + ':' + name.state,
+							raw			: util.format(this.config.dimensions, name.base) + ':' + name.state,
+							first		: true,
+							last		: false
+						}, {
+							expression	: util.format(this.config.dimensions, name.base + '\\:' + name.state),
+							raw			: util.format(this.config.dimensions, name.base + ':' + name.state),
+							first		: false,
+							last		: true
+						}] : [{
+							expression	: util.format(this.config.dimensions, name.base),
+							raw			: util.format(this.config.dimensions, name.base),
+							first		: true,
+							last		: true
+						}];
+					}, this))
 				}
 			});
 			Object.defineProperty(this.data.shapes[index], '_svg', {
@@ -122,6 +124,26 @@ SVGSpriteStandalone.prototype._layout = function(files, cb, extend) {
 	}.bind(this));
 }
 
+/**
+ * Return the SVG of a shape, including references for its aliases
+ * 
+ * Duplicate shapes and aliases don't repeat the shape content but refer to the original shape.
+ * 
+ * @param {SVGShape} shape			Shape
+ * @param {Function} transform		Final transformer before serialization
+ * @return {String}					SVG
+ */
+SVGSpriteStandalone.prototype._getShapeSVG = function(shape, transform) {
+	var svg							= [shape.duplicateOf ? shape.getReferenceSVG(shape.duplicateOf.id, transform) : shape.getSVG(true, transform)];
+	shape.getAliases().forEach(function(alias) {
+		svg.push(shape.getReferenceSVG(shape.id, function(shapeDOM) {
+			transform(shapeDOM);
+			shapeDOM.setAttribute('id', alias);
+		}));
+	});
+	return svg.join('');
+}
+
 /**
  * Module export
  */
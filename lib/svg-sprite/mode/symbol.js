@@ -45,21 +45,23 @@ SVGSpriteSymbol.prototype = _.create(SVGSpriteStandalone.prototype, {
  * @return {void}
  */
 SVGSpriteSymbol.prototype.layout = function(files, cb) {
+	var that						= this;
 	this._layout(files, cb, function(shape, dataShape, index){
+		var transform				= function(shapeDOM) {
+			shapeDOM.nodeName		=
+			shapeDOM.tagName		=
+			shapeDOM.localName		= 'symbol';
+			_.forIn(_.pick(shapeDOM.attributes, function(attribute) {
+				return symbolAttributes.indexOf(attribute.name) == -1;
+			}), function(attribute){
+				this.removeAttribute(attribute.name);				
+			}, shapeDOM);
+			shapeDOM.setAttribute('id', shape.id);
+		};
 		
 		// Create the SVG getter/setter
 		dataShape.__defineGetter__('svg', function() {
-			return this._svg || shape.getSVG(true, function(shapeDOM) {
-				shapeDOM.nodeName	=
-				shapeDOM.tagName	=
-				shapeDOM.localName	= 'symbol';
-				_.forIn(_.pick(shapeDOM.attributes, function(attribute) {
-					return symbolAttributes.indexOf(attribute.name) == -1;
-				}), function(attribute){
-					this.removeAttribute(attribute.name);				
-				}, shapeDOM);
-				shapeDOM.setAttribute('id', shape.id);
-			});
+			return this._svg || that._getShapeSVG(shape, transform);
 		});
 	});
 }
@@ -83,7 +83,9 @@ SVGSpriteView.prototype._buildSVG = function(xmlDeclaration, doctypeDeclaration)
 	svg								= new SVGSprite(this.declaration(this.config.svg.xmlDeclaration, xmlDeclaration), this.declaration(this.config.svg.doctypeDeclaration, doctypeDeclaration), rootAttributes, true);
 	this.data.shapes.forEach(function(shape) {
 		var viewBox					= [-shape.position.absolute.x, -shape.position.absolute.y, shape.width.outer, shape.height.outer];
-		svg.add('<view id="' + shape.name + '" viewBox="' + viewBox.join(' ') + '"/>');
+		[shape.name].concat(shape.aliases).forEach(function(name) {
+			svg.add('<view id="' + _.escape(name) + '" viewBox="' + viewBox.join(' ') + '"/>');
+		});
 		svg.add(shape.svg);
 	});
 	
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+var path							= require('path'),
+_									= require('lodash'),
+/**
+ * Previously resolved plugins
+ *
+ * @type {Object}
+ */
+resolved							= {};
+
+/**
+ * Resolve a plugin module (e.g. a custom mode) by file path or package name
+ *
+ * Relative paths are resolved against the current working directory. Package names are looked up
+ * in the current working directory's `node_modules` directory first (so that locally installed
+ * plugins work with a globally installed svg-sprite as well) and using the regular module
+ * resolution afterwards.
+ *
+ * @param {String} name				Module path or package name
+ * @return {Mixed}					Module export (NULL if the module can't be resolved)
+ */
+module.exports = function(name) {
+	if (!_.has(resolved, name)) {
+		var candidates				= (/^\.{0,2}[\/\\]/.test(name) || path.resolve(name) == path.normalize(name)) ? [path.resolve(name)] : [path.resolve('node_modules', name), name];
+		resolved[name]				= null;
+		for (var c = 0; c < candidates.length; ++c) {
+			try {
+				resolved[name]		= require(candidates[c]);
+				break;
+			} catch(e) {
+
+				// Rethrow errors raised by the module itself (including its own missing dependencies)
+				if ((e.code !== 'MODULE_NOT_FOUND') || (e.message.indexOf(candidates[c]) < 0)) {
+					throw e;
+				}
+			}
+		}
+	}
+	return resolved[name];
+}
+
+/**
+ * Check whether a plugin module can be resolved and loaded
+ *
+ * @param {String} name				Module path or package name
+ * @return {Boolean}				Module can be loaded
+ */
+module.exports.resolvable = function(name) {
+	try {
+		return module.exports(name) !== null;
+	} catch(e) {
+		return false;
+	}
+}
\ No newline at end of file
@@ -11,6 +11,7 @@
  */
 
 var util				= require('util'),
+_						= require('lodash'),
 path					= require('path'),
 async					= require('async'),
 os						= require('os'),
@@ -25,6 +26,9 @@ SHAPE					= require('./shape');
 function SVGSpriterQueue(spriter) {
 	this._spriter		= spriter;
 	this._files			= [];
+	this._processing	= [];
+	this._finished		= [];
+	this._dropped		= [];
 	this._limit			= os.cpus().length * 2;
 	this.active			= 0;
 	
@@ -69,10 +73,13 @@ SVGSpriterQueue.prototype.process = function() {
 		// In case of errors: Skip the file
 		} catch(e) {
 			this._spriter.error('Skipping "%s" (%s)', file.path.substr(file.base.length + path.sep.length), e.message);
+			this._spriter._rejected.push({file: file, error: e});
 			this.emit(--this.active ? 'remove' : 'empty');
 			return;
 		}
 		
+		this._processing.push(shape);
+		
 		// Subsequently run through all optimization and compilation tasks
 		async.waterfall([
 			
@@ -84,23 +91,115 @@ SVGSpriterQueue.prototype.process = function() {
 			// Complement the shape
 			function(_cb){
 				shape.complement(_cb)
+			},
+			
+			// Create and complement the shape variants
+			function(shape, _cb){
+				async.mapSeries(shape.createVariants(), function(variant, __cb){
+					variant.complement(__cb);
+				}, function(error, variants){
+					_cb(error, shape, variants);
+				});
 			}
 			
-		], this.remove.bind(this));
+		], function(error, processed, variants) {
+			this.remove(error, shape, variants);
+		}.bind(this));
 	}
 }
 
 /**
  * Remove a shape from the queue
  * 
+ * As shapes finish processing in arbitrary order, they are registered with the spriter in the
+ * order they were added to the queue (so that e.g. ID collisions are resolved deterministically).
+ * 
  * @param {Error} error					Error
  * @param {SVGShape} shape				Processed shape
+ * @param {Array} variants				Processed shape variants
  */
-SVGSpriterQueue.prototype.remove = function(error, shape) {
-	Array.prototype.push.apply(this._spriter._shapes, shape.distribute());
+SVGSpriterQueue.prototype.remove = function(error, shape, variants) {
+	this._finished.push({error: error, shape: shape, variants: variants});
+	
+	// Register all finished shapes that aren't preceded by a shape still being processed
+	for (var finished = this._finish(this._processing[0]); finished; finished = this._finish(this._processing[0])) {
+		this._processing.shift();
+		this._register(finished.error, finished.shape, finished.variants);
+	}
 	this.emit(--this.active ? 'remove' : 'empty');
 }
 
+/**
+ * Pick the processing result of a shape (if it has already finished processing)
+ * 
+ * @param {SVGShape} shape				Shape
+ * @return {Object}						Processing result
+ */
+SVGSpriterQueue.prototype._finish = function(shape) {
+	var index			= _.findIndex(this._finished, function(finished) {
+		return finished.shape === shape;
+	});
+	return (index >= 0) ? this._finished.splice(index, 1)[0] : null;
+}
+
+/**
+ * Register a processed shape with the spriter
+ * 
+ * @param {Error} error					Error
+ * @param {SVGShape} shape				Processed shape
+ * @param {Array} variants				Processed shape variants
+ */
+SVGSpriterQueue.prototype._register = function(error, shape, variants) {
+	var dropped			= this._dropped.indexOf(shape);
+	
+	// If the shape has been dropped while being processed: Discard it
+	if (dropped >= 0) {
+		this._dropped.splice(dropped, 1);
+		this._spriter.debug('Discarded dropped shape "%s"', shape.name);
+		
+	// In case of errors: Skip the shape
+	} else if (error) {
+		this._spriter.error('Skipping "%s" (%s)', shape.name, error.message);
+		this._spriter._rejected.push({file: shape.source, error: error});
+	} else if (this._spriter._resolveCollisions(shape)) {
+		
+		// Index based namespaces need to be recalculated
+		if (this._spriter.config.svg.namespaceStrategy == 'index') {
+			_.invoke(this._spriter._shapes, 'resetNamespace');
+		}
+		Array.prototype.push.apply(this._spriter._shapes, shape.distribute());
+		(variants || []).forEach(function(variant) {
+			if (this._spriter._resolveCollisions(variant)) {
+				Array.prototype.push.apply(this._spriter._shapes, variant.distribute());
+			}
+		}, this);
+		this._spriter._registerChange('added', shape.name);
+	}
+}
+
+/**
+ * Drop all pending and currently processed files matching a filter
+ * 
+ * @param {Function} filter				Filter callback (gets called with a file and — if available — a shape)
+ * @return {Number}						Number of dropped files
+ */
+SVGSpriterQueue.prototype.drop = function(filter) {
+	var pending			= this._files.length;
+	
+	// Remove pending files
+	this._files			= _.reject(this._files, function(file) {
+		return filter(file, null);
+	});
+	
+	// Mark matching files currently in progress as dropped
+	var processing		= this._processing.filter(function(shape) {
+		return (this._dropped.indexOf(shape) < 0) && filter(shape.source, shape);
+	}, this);
+	Array.prototype.push.apply(this._dropped, processing);
+	
+	return pending - this._files.length + processing.length;
+}
+
 /**
  * Module export (constructor wrapper)
  * 
@@ -0,0 +1,393 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+var _								= require('lodash'),
+util								= require('util'),
+/**
+ * Rendering configuration (stylesheets & example documents)
+ *
+ * @type {Object}
+ */
+renderConfig						= {
+	type							: ['boolean', 'null', 'object'],
+	properties						: {
+		template					: {type: 'string'},
+		dest						: {type: 'string'}
+	}
+},
+/**
+ * Common SVG options
+ *
+ * @type {Object}
+ */
+svgConfig							= {
+	type							: 'object',
+	properties						: {
+		xmlDeclaration				: {type: ['boolean', 'string']},
+		doctypeDeclaration			: {type: ['boolean', 'string']},
+		namespaceIDs				: {type: 'boolean'},
+		namespaceStrategy			: {type: 'string', values: ['index', 'id', 'hash']},
+		cleanupIDs					: {type: 'boolean'},
+		minifyIDs					: {type: 'boolean'},
+		dimensionAttributes			: {type: 'boolean'}
+	}
+},
+/**
+ * Mode properties common to all modes
+ *
+ * @type {Object}
+ */
+commonModeProperties				= {
+	mode							: {type: ['string', 'function']},
+	dest							: {type: 'string'},
+	prefix							: {type: 'string'},
+	dimensions						: {type: ['string', 'boolean']},
+	sprite							: {type: 'string'},
+	bust							: {type: 'boolean'},
+	render							: {type: 'object', additional: renderConfig},
+	example							: renderConfig,
+	variables						: {type: 'object', additional: true},
+	svg								: svgConfig
+},
+/**
+ * Mode specific properties
+ *
+ * @type {Object}
+ */
+modeProperties						= {
+	css								: {
+		layout						: {type: 'string', values: ['vertical', 'horizontal', 'diagonal', 'packed']},
+		common						: {type: ['string', 'null']},
+		mixin						: {type: ['string', 'null']}
+	},
+	defs							: {
+		inline						: {type: 'boolean'}
+	},
+	stack							: {}
+},
+/**
+ * Main configuration schema
+ *
+ * @type {Object}
+ */
+schema								= {
+	type							: 'object',
+	properties						: {
+		dest						: {type: 'string'},
+		log							: {type: ['string', 'object', 'boolean', 'null'], values: ['info', 'verbose', 'debug']},
+		cache						: {type: ['string', 'null']},
+		shape						: {
+			type					: 'object',
+			properties				: {
+				id					: {
+					type			: 'object',
+					properties		: {
+						separator	: {type: 'string'},
+						generator	: {type: ['function', 'string']},
+						pseudo		: {type: 'string'},
+						whitespace	: {type: 'string'},
+						collision	: {type: 'string', values: ['warn', 'error', 'rename', 'last-wins']}
+					}
+				},
+				dimension			: {
+					type			: 'object',
+					properties		: {
+						maxWidth	: {type: 'number'},
+						maxHeight	: {type: 'number'},
+						precision	: {type: 'number'},
+						attributes	: {type: 'boolean'},
+						cropToContent	: {type: 'boolean'},
+						fontSize	: {type: 'number'}
+					}
+				},
+				spacing				: {
+					type			: 'object',
+					properties		: {
+						padding		: {type: ['number', 'string', 'array'], items: {type: 'number'}},
+						box			: {type: 'string', values: ['content', 'padding']}
+					}
+				},
+				meta				: {type: ['string', 'object', 'null'], additional: true},
+				align				: {type: ['string', 'object', 'null'], additional: true},
+				overrides			: {
+					type			: ['string', 'object', 'function', 'null'],
+					additional		: {
+						type		: 'object',
+						properties	: {
+							meta	: {
+								type		: 'object',
+								properties	: {
+									title		: {type: 'string'},
+									description	: {type: 'string'},
+									aliases		: {type: ['string', 'array'], items: {type: 'string'}},
+									keywords	: {type: ['string', 'array'], items: {type: 'string'}},
+									category	: {type: 'string'},
+									deprecated	: {type: ['boolean', 'string']},
+									license		: {type: 'string'},
+									author		: {type: 'string'}
+								},
+								additional	: true
+							},
+							align	: {type: 'object', additional: {type: ['number', 'string']}}
+						}
+					}
+				},
+				dest				: {type: ['string', 'null']},
+				dedupe				: {type: 'boolean'},
+				parse				: {
+					type			: 'object',
+					properties		: {
+						maxSize		: {type: 'number'},
+						maxElements	: {type: 'number'},
+						timeout		: {type: 'number'},
+						entities	: {type: 'string', values: ['strip', 'reject']}
+					}
+				}
+			}
+		},
+		transform					: {
+			type					: 'array',
+			items					: {
+				type				: ['string', 'function', 'object'],
+				additional			: {type: ['boolean', 'object', 'function'], additional: true}
+			}
+		},
+		svg							: svgConfig,
+		variables					: {type: 'object', additional: true},
+		mode						: {type: ['object', 'null'], mode: true}
+	}
+};
+
+modeProperties.view					= modeProperties.css;
+modeProperties.symbol				= modeProperties.defs;
+schema.properties.shape.properties.overrides.additional.properties.dimension	= schema.properties.shape.properties.dimension;
+schema.properties.shape.properties.overrides.additional.properties.spacing		= schema.properties.shape.properties.spacing;
+
+/**
+ * Return the schema type of a value
+ *
+ * @param {Mixed} value				Value
+ * @return {String}					Type
+ */
+function typeOf(value) {
+	if (value === null) {
+		return 'null';
+	} else if (_.isArray(value)) {
+		return 'array';
+	} else if (_.isFunction(value)) {
+		return 'function';
+	}
+	return typeof value;
+}
+
+/**
+ * Human readable list of types
+ *
+ * @param {Array} types				Types
+ * @return {String}					Type list
+ */
+function typeNames(types) {
+	return types.map(function(type) {
+		return (type == 'null') ? 'null' : (type.substr(0, 1).toUpperCase() + type.substr(1));
+	}).join(' or ');
+}
+
+/**
+ * Join a configuration path and a property name
+ *
+ * @param {String} path				Configuration path
+ * @param {String} property			Property name
+ * @return {String}					Property path
+ */
+function join(path, property) {
+	return path.length ? (path + '.' + property) : property;
+}
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {String} a				First string
+ * @param {String} b				Second string
+ * @return {Number}					Distance
+ */
+function distance(a, b) {
+	var row							= _.range(b.length + 1);
+	for (var i = 1; i <= a.length; ++i) {
+		var previous				= row[0]++;
+		for (var j = 1; j <= b.length; ++j) {
+			var current				= row[j];
+			row[j]					= Math.min(row[j] + 1, row[j - 1] + 1, previous + ((a[i - 1] == b[j - 1]) ? 0 : 1));
+			previous				= current;
+		}
+	}
+	return row[b.length];
+}
+
+/**
+ * Find the most similar candidate for a misspelled string
+ *
+ * @param {String} str				Misspelled string
+ * @param {Array} candidates		Candidates
+ * @return {String}					" (did you mean …?)" suggestion or an empty string
+ */
+function suggest(str, candidates) {
+	var best						= _.min(candidates, function(candidate) {
+		return distance(('' + str).toLowerCase(), candidate.toLowerCase());
+	});
+	return (_.isString(best) && (distance(('' + str).toLowerCase(), best.toLowerCase()) <= Math.max(2, Math.floor(best.length / 3)))) ?
+		util.format(' (did you mean "%s"?)', best) : '';
+}
+
+/**
+ * Check whether a value is a numeric string (which is used as number as well)
+ *
+ * @param {Mixed} value				Value
+ * @return {Boolean}				Value is a numeric string
+ */
+function isNumeric(value) {
+	return _.isString(value) && !!value.trim().length && isFinite(value);
+}
+
+/**
+ * Recursively validate a value against a schema node
+ *
+ * Values that can't be used at all are reported as problems. Unknown options and unsupported
+ * enumerated values are reported as warnings only, as they are ignored in favour of the defaults.
+ *
+ * @param {Mixed} value				Value
+ * @param {Object} node				Schema node
+ * @param {String} path				Configuration path
+ * @param {Object} options			Validation options
+ * @param {Array} problems			Problems found so far
+ * @return {Array}					Problems
+ */
+function validateNode(value, node, path, options, problems) {
+	if (_.isUndefined(value) || (node === true)) {
+		return problems;
+	}
+
+	// Check the value type
+	var types						= [].concat(node.type || []),
+	type							= typeOf(value);
+	if (types.length && (types.indexOf(type) < 0) && !((types.indexOf('number') >= 0) && isNumeric(value))) {
+		problems.push(util.format('%s: Expected %s, got %s', path || 'config', typeNames(types), typeNames([type])));
+		return problems;
+	}
+
+	// Check enumerated values
+	if (node.values && _.isString(value) && (node.values.indexOf(value) < 0)) {
+		options.warnings.push(util.format('%s: Expected one of "%s", got "%s"%s', path, node.values.join('", "'), value, suggest(value, node.values)));
+
+	// Check array items
+	} else if ((type == 'array') && node.items) {
+		value.forEach(function(item, index) {
+			validateNode(item, node.items, path + '[' + index + ']', options, problems);
+		});
+
+	// Check mode configurations
+	} else if ((type == 'object') && node.mode) {
+		for (var key in value) {
+			validateMode(value[key], join(path, key), key, options, problems);
+		}
+
+	// Check object properties
+	} else if ((type == 'object') && (node.properties || node.additional)) {
+		var properties				= node.properties || {};
+		for (var property in value) {
+			if (property in properties) {
+				validateNode(value[property], properties[property], join(path, property), options, problems);
+			} else if (node.additional) {
+				validateNode(value[property], node.additional, join(path, property), options, problems);
+			} else {
+				options.warnings.push(util.format('%s: Unknown option%s', join(path, property), suggest(property, _.keys(properties))));
+			}
+		}
+	}
+
+	return problems;
+}
+
+/**
+ * Validate a single mode configuration
+ *
+ * @param {Mixed} value				Mode configuration
+ * @param {String} path				Configuration path
+ * @param {String} key				Mode key
+ * @param {Object} options			Validation options
+ * @param {Array} problems			Problems found so far
+ * @return {Array}					Problems
+ */
+function validateMode(value, path, key, options, problems) {
+	var type						= typeOf(value),
+	explicit						= (type == 'object') && ('mode' in value),
+	mode							= explicit ? value.mode : key;
+
+	// Disabled modes are ignored
+	if ((type != 'object') && (value !== true)) {
+		if (['boolean', 'null', 'undefined'].indexOf(type) < 0) {
+			problems.push(util.format('%s: Expected Object or Boolean, got %s', path, typeNames([type])));
+		}
+		return problems;
+	}
+
+	if (!_.isString(mode) && !_.isFunction(mode)) {
+		problems.push(util.format('%s: Expected String or Function, got %s', join(path, 'mode'), typeNames([typeOf(mode)])));
+
+	// Built-in mode: Validate the mode properties
+	} else if (mode in modeProperties) {
+		if (type == 'object') {
+			validateNode(value, {type: 'object', properties: _.extend({}, commonModeProperties, modeProperties[mode])}, path, options, problems);
+		}
+
+	// Unknown mode
+	} else if (!_.isFunction(mode) && !options.resolve(mode, explicit)) {
+		problems.push(util.format('%s: Unknown mode "%s"%s', (mode === key) ? path : join(path, 'mode'), mode, suggest(mode, _.keys(modeProperties).concat(options.custom || []))));
+
+	// Custom mode: Validate the common mode properties only
+	} else if (type == 'object') {
+		validateNode(value, {type: 'object', properties: commonModeProperties, additional: true}, path, options, problems);
+	}
+
+	return problems;
+}
+
+/**
+ * Validate a main configuration
+ *
+ * @param {Object} config			Configuration
+ * @param {Function} resolve		Callback checking whether a custom mode can be resolved (receiving the mode name and whether it's given as `mode` property)
+ * @param {Array} warnings			Optional list collecting the warnings (ignored options and values)
+ * @return {Array}					Problems (empty if the configuration is usable)
+ */
+exports.validate = function(config, resolve, warnings) {
+	return validateNode(config, schema, '', {resolve: resolve || _.constant(false), warnings: warnings || []}, []);
+}
+
+/**
+ * Validate a mode configuration (as passed to SVGSpriter.compile())
+ *
+ * @param {Object} config			Mode configuration
+ * @param {Function} resolve		Callback checking whether a custom mode can be resolved (receiving the mode name and whether it's given as `mode` property)
+ * @param {Array} custom			Registered custom mode names (for suggestions)
+ * @param {Array} warnings			Optional list collecting the warnings (ignored options and values)
+ * @return {Array}					Problems (empty if the configuration is usable)
+ */
+exports.validateModes = function(config, resolve, custom, warnings) {
+	return validateNode(config, schema.properties.mode, 'mode', {resolve: resolve || _.constant(false), custom: custom, warnings: warnings || []}, []);
+}
+
+/**
+ * Built-in modes
+ *
+ * @type {Array}
+ */
+exports.modes = _.keys(modeProperties);
\ No newline at end of file
@@ -22,7 +22,9 @@ csssp						= require('css-selector-parser').CssSelectorParser,
 csssel						= new csssp(),
 path						= require('path'),
 execFile					= require('child_process').execFile,
+vm							= require('vm'),
 async						= require('async'),
+BBOX						= require('./shape/bbox'),
 /**
  * Default callback for shape ID generation
  * 
@@ -64,6 +66,12 @@ defaultConfig				= {
 		 * @type {String}
 		 */
 		whitespace			: '_',
+		/**
+		 * ID collision policy ('warn', 'error', 'rename' or 'last-wins')
+		 * 
+		 * @type {String}
+		 */
+		collision			: 'warn',
 		/**
 		 * ID traversal callback
 		 * 
@@ -100,7 +108,19 @@ defaultConfig				= {
 		 * 
 		 * @type {Boolean}
 		 */
-		attributes			: false
+		attributes			: false,
+		/**
+		 * Base font size for resolving font relative units (em, ex)
+		 * 
+		 * @type {Number}
+		 */
+		fontSize			: 16,
+		/**
+		 * Shrink the viewBox to the actual drawing
+		 * 
+		 * @type {Boolean}
+		 */
+		cropToContent		: false
 	},
 	/**
 	 * Spacing related options
@@ -122,9 +142,129 @@ defaultConfig				= {
 		 * @type {String}
 		 */
 		box					: 'content'
+	},
+	/**
+	 * XML parsing safeguards
+	 * 
+	 * @type {Object}
+	 */
+	parse					: {
+		/**
+		 * Max. size of the SVG source in bytes (0 = unlimited)
+		 * 
+		 * @type {Number}
+		 */
+		maxSize				: 0,
+		/**
+		 * Max. number of elements (0 = unlimited)
+		 * 
+		 * @type {Number}
+		 */
+		maxElements			: 0,
+		/**
+		 * Parsing timeout in milliseconds (0 = no timeout)
+		 * 
+		 * @type {Number}
+		 */
+		timeout				: 0,
+		/**
+		 * Handling of entity declarations in the DOCTYPE's internal subset
+		 * 
+		 * Might be 'strip' (the internal subset is removed) or 'reject' (the shape is rejected)
+		 * 
+		 * @type {String}
+		 */
+		entities			: 'strip'
 	}
 },
-svgReferenceProperties		= ['style', 'fill', 'stroke', 'filter', 'clip-path', 'mask',  'marker-start', 'marker-end', 'marker-mid'];
+/**
+ * Normalize the meta data of a shape
+ * 
+ * Arbitrary meta data fields are passed through. Keywords are turned into a list (also accepting
+ * comma-separated strings), and deprecation notices are split into a `deprecated` flag and an
+ * optional `deprecation` message (which must not terminate the stylesheet comments it's used in).
+ * 
+ * @param {Object} meta				Meta data
+ * @return {Object}					Normalized meta data
+ */
+normalizeMeta				= function(meta) {
+	meta					= _.extend({}, meta);
+	if ('keywords' in meta) {
+		meta.keywords		= (_.isArray(meta.keywords) ? meta.keywords : ('' + meta.keywords).split(',')).map(function(keyword) {
+			return ('' + keyword).trim();
+		}).filter(function(keyword) {
+			return keyword.length;
+		});
+	}
+	if (_.isString(meta.deprecated) && meta.deprecated.trim().length) {
+		meta.deprecation	= meta.deprecated.trim().replace(/\*\//g, '* /');
+		meta.deprecated		= true;
+	} else {
+		meta.deprecation	= null;
+		meta.deprecated		= (meta.deprecated === true);
+	}
+	return meta;
+},
+/**
+ * Locate the internal subset of an SVG's DOCTYPE declaration
+ * 
+ * Quoted literals (e.g. entity values or system identifiers) and comments are skipped, so that
+ * brackets and angle brackets within them don't end the scan prematurely.
+ * 
+ * @param {String} svg				SVG
+ * @return {Object}					Offsets of the opening bracket (`start`) and the DOCTYPE's closing
+ * 									angle bracket (`end`) or NULL if there's no internal subset
+ */
+findInternalSubset			= function(svg) {
+	var doctype				= /<!DOCTYPE\s/i.exec(svg),
+	quote					= null,
+	start					= -1;
+	for (var i = doctype ? (doctype.index + doctype[0].length) : svg.length, c; i < svg.length; ++i) {
+		c					= svg.charAt(i);
+		if (quote) {
+			quote			= (c == quote) ? null : quote;
+		} else if ((c == '"') || (c == "'")) {
+			quote			= c;
+		} else if (start < 0) {
+			if (c == '>') {
+				break;
+			} else if (c == '[') {
+				start		= i;
+			}
+		} else if (svg.substr(i, 4) == '<!--') {
+			i				= svg.indexOf('-->', i + 4);
+			if (i < 0) {
+				break;
+			}
+			i				+= 2;
+		} else if (c == ']') {
+			var end			= /^\]\s*>/.exec(svg.substr(i));
+			if (end) {
+				return {start: start, end: i + end[0].length - 1};
+			}
+		}
+	}
+	return null;
+},
+/**
+ * Script and (reusable) context for parsing SVGs with a timeout
+ * 
+ * @type {vm.Script}
+ */
+parseScript					= new vm.Script('parser.parseFromString(svg)'),
+parseContext				= vm.createContext({parser: null, svg: null}),
+svgReferenceProperties		= ['style', 'fill', 'stroke', 'filter', 'clip-path', 'mask', 'marker', 'marker-start', 'marker-end', 'marker-mid', 'cursor', 'values', 'from', 'to'],
+svgIdListProperties			= ['aria-labelledby', 'aria-describedby'],
+svgTimingProperties			= ['begin', 'end'],
+/**
+ * Syncbase, event or repeat value of a SMIL timing list item (leading whitespace, element ID and the rest)
+ * 
+ * The element ID must neither start with a digit nor a sign (which would make it an offset value
+ * like "1.5s"), and it has to be followed by "begin", "end", "repeat(n)" or an event name.
+ * 
+ * @type {RegExp}
+ */
+svgTimingReference			= /^(\s*)((?:\\.|[^\s\\\.\+\-\d])(?:\\.|[^\s\\\.\+])*)(\.(?:begin|end|repeat\(\s*\d+\s*\)|[a-z]+)\s*(?:[\+\-][\s\S]*)?)$/i;
 
 /**
  * SVGShape
@@ -144,19 +284,30 @@ function SVGShape(file, spriter) {
 	}
 	
 	this.id					= this.config.id.generator(this.name);
+	
+	// Apply the per-shape overrides
+	var overrides			= _.isFunction(this.config.overrides) ? this.config.overrides(this) : {};
+	_.merge(this.config, _.pick(overrides, ['dimension', 'spacing']));
+	
 	this.state				= this.id.split(this.config.id.pseudo);
 	this.base				= this.state.shift();
 	this.state				= this.state.shift() || null;
 	this.master				= null;
 	this.copies				= 0;
+	this.variants			= [];
+	this.variantOf			= null;
+	this.duplicateOf		= null;
+	this.rejectedAliases	= [];
+	this.reports			= [];
 	this._precision			= Math.pow(10, +this.config.dimension.precision);
 	this._scale				= 1;
 	this._namespaced		= false;
+	this._unresolved		= [];
 
 	// Determine meta & alignment data
 	var relative			= path.basename(this.source.relative, '.svg');
-	this.meta				= (this.id in this.config.meta) ? this.config.meta[this.id] : ((relative in this.config.meta) ? this.config.meta[relative] : {});
-	this.align				= _.pairs(_.extend(this.config.align['*'], (this.id in this.config.align) ? this.config.align[this.id] : ((relative in this.config.align) ? this.config.align[relative] : {})));
+	this.meta				= normalizeMeta(_.extend({}, (this.id in this.config.meta) ? this.config.meta[this.id] : ((relative in this.config.meta) ? this.config.meta[relative] : {}), overrides.meta));
+	this.align				= _.pairs(_.extend(this.config.align['*'], (this.id in this.config.align) ? this.config.align[this.id] : ((relative in this.config.align) ? this.config.align[relative] : {}), overrides.align));
 	
 	// Initially set the SVG of this shape
 	this._initSVG();
@@ -289,6 +440,41 @@ SVGShape.prototype.getSVG = function(inline, transform) {
 	return svg;
 }
 
+/**
+ * Return an SVG referencing another element of the sprite (for inline usage)
+ * 
+ * The result carries the root element attributes of this shape, but instead of repeating the
+ * content it refers to the given element (e.g. the original of a duplicate shape) via a `<use>`
+ * element.
+ * 
+ * @param {String} id				Referenced element ID
+ * @param {Function} transform		Final transformer before serialization (operating on a clone)
+ * @return {String}					SVG
+ */
+SVGShape.prototype.getReferenceSVG = function(id, transform) {
+	var svg					= this.dom.documentElement.cloneNode(false),
+	use						= this.dom.createElementNS(this.DEFAULT_SVG_NAMESPACE, 'use'),
+	viewBox					= this.getViewbox();
+	use.setAttribute('xlink:href', '#' + id);
+	if (viewBox[0]) {
+		use.setAttribute('x', viewBox[0]);
+	}
+	if (viewBox[1]) {
+		use.setAttribute('y', viewBox[1]);
+	}
+	use.setAttribute('width', viewBox[2]);
+	use.setAttribute('height', viewBox[3]);
+	svg.appendChild(use);
+	svg.removeAttribute('aria-labelledby');
+	
+	// Call the final transformer (if available)
+	if (_.isFunction(transform)) {
+		transform(svg);
+	}
+	
+	return new XMLSerializer().serializeToString(this._stripInlineNamespaceDeclarations(svg));
+}
+
 /**
  * Set the SVG of this shape
  * 
@@ -308,6 +494,29 @@ SVGShape.prototype.setSVG = function(svg) {
  * @return {SVGShape}		Self reference
  */
 SVGShape.prototype._initSVG = function() {
+	var parse				= this.config.parse,
+	size					= Buffer.byteLength(this.svg.current);
+	
+	// Check the size of the SVG source
+	if ((parse.maxSize > 0) && (size > parse.maxSize)) {
+		var e				= new Error(util.format('Invalid SVG file (%d bytes exceed the maximum size of %d bytes)', size, parse.maxSize));
+		e.name				= 'ArgumentError';
+		e.errno				= 1431369814;
+		throw e;
+	}
+	
+	// Check for entity declarations in the DOCTYPE's internal subset
+	var subset				= findInternalSubset(this.svg.current);
+	if (subset && /<!ENTITY/i.test(this.svg.current.substring(subset.start, subset.end))) {
+		if (parse.entities == 'reject') {
+			var e			= new Error('Invalid SVG file (entity declarations are not allowed)');
+			e.name			= 'ArgumentError';
+			e.errno			= 1431369902;
+			throw e;
+		}
+		this.svg.current	= this.svg.current.substr(0, subset.start).replace(/\s+$/, '') + this.svg.current.substr(subset.end);
+		this.spriter.debug('Stripped the entity declarations of "%s"', this.name);
+	}
 	
 	// Basic check for basic SVG file structure
 	if (!this.svg.current.match(/\<svg[\s\>][\s\S]*\<\/svg\>/)) {
@@ -317,8 +526,19 @@ SVGShape.prototype._initSVG = function() {
 		throw e;
 	}
 	
+	// Check the number of elements (ignoring comments and CDATA sections)
+	if (parse.maxElements > 0) {
+		var elements		= (this.svg.current.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>/g, '').match(/<[a-z_]/gi) || []).length;
+		if (elements > parse.maxElements) {
+			var e			= new Error(util.format('Invalid SVG file (%d elements exceed the maximum of %d elements)', elements, parse.maxElements));
+			e.name			= 'ArgumentError';
+			e.errno			= 1431369957;
+			throw e;
+		}
+	}
+	
 	// Parse the XML
-	this.dom				= new DOMParser({
+	var parser				= new DOMParser({
 		locator				: {},
 		errorHandler		: function(level, message) {
 			var e			= new Error(util.format('Invalid SVG file (%s)', message.split('\n').join(' ')));
@@ -326,15 +546,27 @@ SVGShape.prototype._initSVG = function() {
 			e.errno			= 1429394706;
 			throw e;
 		}
-	}).parseFromString(this.svg.current);
-	
-	// Determine the shape width
-	var width				= this.dom.documentElement.getAttribute('width');
-	this.width				= width.length ? parseFloat(width, 10) : false;
-	
-	// Determine the shape height
-	var height				= this.dom.documentElement.getAttribute('height');
-	this.height				= height.length ? parseFloat(height, 10) : false;
+	});
+	if (parse.timeout > 0) {
+		try {
+			parseContext.parser	= parser;
+			parseContext.svg	= this.svg.current;
+			this.dom		= parseScript.runInContext(parseContext, {timeout: parse.timeout});
+		} catch(error) {
+			if ((error.code != 'ERR_SCRIPT_EXECUTION_TIMEOUT') && !/timed out/i.test(error.message)) {
+				throw error;
+			}
+			var e			= new Error(util.format('Invalid SVG file (parsing exceeded the timeout of %d ms)', parse.timeout));
+			e.name			= 'ArgumentError';
+			e.errno			= 1431370023;
+			throw e;
+		} finally {
+			parseContext.parser	=
+			parseContext.svg	= null;
+		}
+	} else {
+		this.dom			= parser.parseFromString(this.svg.current);
+	}
 	
 	// Determine the viewbox
 	var viewBox				= this.dom.documentElement.getAttribute('viewBox');
@@ -351,6 +583,10 @@ SVGShape.prototype._initSVG = function() {
 		this.viewBox		= false;
 	}
 	
+	// Determine the shape width & height
+	this.width				= this._parseLength('width', this.viewBox ? this.viewBox[2] : null);
+	this.height				= this._parseLength('height', this.viewBox ? this.viewBox[3] : null);
+	
 	this.title				=
 	this.description		= null;
 	for (var c = 0, children = this.dom.documentElement.childNodes, cl = children.length, meta = {title: 'title', description: 'desc'}; c < cl; ++c) {
@@ -364,6 +600,45 @@ SVGShape.prototype._initSVG = function() {
 	return this;
 }
 
+/**
+ * Parse a length attribute of the root element and convert it to pixels
+ * 
+ * Absolute units are converted using the CSS reference pixel (96 pixels per inch), percentages are
+ * resolved against the viewBox and font relative units against the configured base font size.
+ * 
+ * @param {String} attribute	Attribute name
+ * @param {Number} reference	Reference length for percentages (viewBox width or height)
+ * @return {Number}				Length in pixels (or FALSE if not available)
+ */
+SVGShape.prototype._parseLength = function(attribute, reference) {
+	var value				= this.dom.documentElement.getAttribute(attribute).trim(),
+	match					= value.match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([a-z]*|%)$/i),
+	fontSize				= +this.config.dimension.fontSize,
+	factors					= {'': 1, px: 1, pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96, em: fontSize, ex: fontSize / 2};
+	if (!value.length) {
+		return false;
+	}
+	
+	var unit				= match ? match[2].toLowerCase() : null,
+	length					= match ? parseFloat(match[1], 10) : NaN;
+	if (unit in factors) {
+		length				*= factors[unit];
+	} else if ((unit == '%') && reference) {
+		length				*= reference / 100;
+	} else {
+		length				= NaN;
+	}
+	
+	if (isNaN(length) || (length <= 0)) {
+		if (this._unresolved.indexOf(value) < 0) {
+			this._unresolved.push(value);
+			this.spriter.warn('Couldn\'t resolve the %s "%s" of "%s" (using the viewBox instead)', attribute, value, this.name);
+		}
+		return false;
+	}
+	return this._round(length);
+}
+
 /**
  * Return the dimensions of this shape
  * 
@@ -456,9 +731,12 @@ SVGShape.prototype.complement = function(cb) {
  * @param {Function} cb			Callback
  */
 SVGShape.prototype._complementDimensions = function(cb) {
-	(this.width && this.height) ?
-		this._limitDimensions(cb) :
-		this._determineDimensions(this._limitDimensions.bind(this, cb));
+	async.waterfall([
+		(this.width && this.height) ? function(_cb) { _cb(null); } : this._determineDimensions.bind(this),
+		this._normalizeAspectRatio.bind(this),
+		this._cropToContent.bind(this),
+		this._limitDimensions.bind(this)
+	], cb);
 }
 
 /**
@@ -474,12 +752,105 @@ SVGShape.prototype._determineDimensions = function(cb) {
 		this.height				= this.viewBox[3];
 	}
 
-	// If the viewBox attribute didn't suffice: Render the SVG image
+	// If the viewBox attribute didn't suffice: Calculate the bounding box of the drawing
 	if (!this.width || !this.height) {
-	    cb(new Error('No viewBox available for "' + this.name + '"'));
-	} else {
-		cb(null);
+		var bbox				= BBOX(this.dom.documentElement);
+		if (!bbox || !bbox.width || !bbox.height) {
+			cb(new Error('No viewBox available for "' + this.name + '" and the dimensions couldn\'t be determined'));
+			return;
+		}
+		this.setViewbox([bbox.x, bbox.y, bbox.width, bbox.height].map(this._round.bind(this)));
+		this.width				= this.viewBox[2];
+		this.height				= this.viewBox[3];
+		this.spriter.debug('Calculated the dimensions of "%s" from its content (%sx%s)', this.name, this.width, this.height);
+	}
+	cb(null);
+}
+
+/**
+ * Normalize the viewBox so that its aspect ratio matches the shape dimensions
+ * 
+ * Applies the `preserveAspectRatio` attribute of the shape (if any), so that the shape renders
+ * identically regardless of the dimensions it gets used with later on (e.g. when nested into a
+ * sprite or scaled down).
+ * 
+ * @param {Function} cb			Callback
+ */
+SVGShape.prototype._normalizeAspectRatio = function(cb) {
+	var viewBox					= this.viewBox,
+	root						= this.dom.documentElement;
+	if (viewBox && viewBox[2] && viewBox[3]) {
+		var scaleX				= this.width / viewBox[2],
+		scaleY					= this.height / viewBox[3],
+		preserve				= (root.getAttribute('preserveAspectRatio') || 'xMidYMid meet').trim().split(/\s+/);
+		if (preserve[0] == 'defer') {
+			preserve.shift();
+		}
+		
+		// Non-uniform scaling: Apply the scale to the rendered content (leaving non-rendered elements at the root)
+		if (preserve[0] == 'none') {
+			if (Math.abs(scaleX - scaleY) > 1e-9) {
+				var group		= this.dom.createElementNS(this.DEFAULT_SVG_NAMESPACE, 'g'),
+				children		= [];
+				for (var c = 0; c < root.childNodes.length; ++c) {
+					var child	= root.childNodes.item(c);
+					if (['title', 'desc', 'style', 'defs'].indexOf(child.localName) < 0) {
+						children.push(child);
+					}
+				}
+				children.forEach(function(child) {
+					group.appendChild(root.removeChild(child));
+				});
+				group.setAttribute('transform', 'matrix(' + [scaleX, 0, 0, scaleY, -viewBox[0] * scaleX, -viewBox[1] * scaleY].map(this._round.bind(this)).join(' ') + ')');
+				root.appendChild(group);
+				this.setViewbox(0, 0, this.width, this.height);
+				root.removeAttribute('preserveAspectRatio');
+			}
+			
+		// Uniform scaling: Extend (meet) or shrink (slice) the viewBox according to the alignment
+		} else if (Math.abs(scaleX - scaleY) > 1e-9) {
+			var align			= (preserve[0] || 'xMidYMid').match(/^x(Min|Mid|Max)Y(Min|Mid|Max)$/) || [null, 'Mid', 'Mid'],
+			scale				= ((preserve[1] == 'slice') ? Math.max : Math.min)(scaleX, scaleY),
+			width				= this.width / scale,
+			height				= this.height / scale,
+			offset				= {Min: 0, Mid: .5, Max: 1};
+			this.setViewbox([
+				viewBox[0] - (width - viewBox[2]) * offset[align[1]],
+				viewBox[1] - (height - viewBox[3]) * offset[align[2]],
+				width,
+				height
+			].map(this._round.bind(this)));
+			root.removeAttribute('preserveAspectRatio');
+		}
 	}
+	cb(null);
+}
+
+/**
+ * Shrink the viewBox to the actual drawing (if configured)
+ * 
+ * @param {Function} cb			Callback
+ */
+SVGShape.prototype._cropToContent = function(cb) {
+	if (this.config.dimension.cropToContent) {
+		var viewBox				= this.getViewbox(this.width, this.height),
+		bbox					= BBOX(this.dom.documentElement);
+		
+		// Content outside the viewBox is invisible anyway
+		if (bbox) {
+			var x1				= Math.max(viewBox[0], bbox.x),
+			y1					= Math.max(viewBox[1], bbox.y),
+			x2					= Math.min(viewBox[0] + viewBox[2], bbox.x + bbox.width),
+			y2					= Math.min(viewBox[1] + viewBox[3], bbox.y + bbox.height);
+			if ((x2 > x1) && (y2 > y1) && ((x2 - x1 < viewBox[2]) || (y2 - y1 < viewBox[3]))) {
+				this.width		= this._round(this.width * (x2 - x1) / viewBox[2]);
+				this.height		= this._round(this.height * (y2 - y1) / viewBox[3]);
+				this.setViewbox([x1, y1, x2 - x1, y2 - y1].map(this._round.bind(this)));
+				this.spriter.debug('Cropped "%s" to its content (%sx%s)', this.name, this.width, this.height);
+			}
+		}
+	}
+	cb(null);
 }
 
 /**
@@ -534,16 +905,18 @@ SVGShape.prototype._addPadding = function(cb) {
 	var padding				= this.config.spacing.padding;
 	if (padding.top || padding.right || padding.bottom || padding.left) {
 		
-		// Update viewBox
-		var viewBox			= this.getViewbox();
-		viewBox[0]			-= this.config.spacing.padding.left / this._scale;
-		viewBox[1]			-= this.config.spacing.padding.right / this._scale;
-		viewBox[2]			+= (this.config.spacing.padding.right + this.config.spacing.padding.left) / this._scale;
-		viewBox[3]			+= (this.config.spacing.padding.top + this.config.spacing.padding.bottom) / this._scale;
+		// Update viewBox (converting the padding to viewBox units)
+		var viewBox			= this.getViewbox(),
+		unitsX				= viewBox[2] / this.width,
+		unitsY				= viewBox[3] / this.height;
+		viewBox[0]			-= padding.left * unitsX;
+		viewBox[1]			-= padding.top * unitsY;
+		viewBox[2]			+= (padding.right + padding.left) * unitsX;
+		viewBox[3]			+= (padding.top + padding.bottom) * unitsY;
 		this.setViewbox(viewBox.map(this._round.bind(this)));
 		
 		// Update dimensions
-		this.setDimensions(this.width + this.config.spacing.padding.right + this.config.spacing.padding.left, this.height + this.config.spacing.padding.top + this.config.spacing.padding.bottom);
+		this.setDimensions(this.width + padding.right + padding.left, this.height + padding.top + padding.bottom);
 	}
 	cb(null);
 }
@@ -611,40 +984,184 @@ SVGShape.prototype.setNamespace = function(ns) {
 			subst['#' + id]			= substId;
 			elem.setAttribute('id', substId);
 		});
-	
-		// Substitute ID references in <style> elements
-		var style					= select('//svg:style', this.dom);
-		if (style.length) {
-			var cssmin				= require('cssmin');
-			select('//svg:style', this.dom).forEach(function(style) {
-				style.textContent	= cssmin(this._replaceIdReferences(style.textContent, subst, true));
-			}, this);
-		}
 		
-		// Substitute ID references in xlink:href attributes
-		select('//@xlink:href', this.dom).forEach(function(xlink){
-			var xlinkValue			= xlink.nodeValue;
-			if ((xlinkValue.indexOf('data:') !== 0) && (xlinkValue in subst)) {
-				xlink.ownerElement.setAttribute('xlink:href', '#' + subst[xlinkValue]);
-			}
-		});
+		this._substituteIdReferences(subst);
 		
-		// Substitute ID references in referencing attributes
-		svgReferenceProperties.forEach(function(refProperty){
-			select('//@' + refProperty, this.dom).forEach(function(ref) {
-				ref.ownerElement.setAttribute(ref.localName, this._replaceIdReferences(ref.nodeValue, subst, false))
-			}, this);
+		this._namespaced			= true;
+	}
+}
+
+/**
+ * Substitute the references to IDs within the SVG document
+ * 
+ * @param {Object} subst			ID substitutions (indexed by "#" + original ID)
+ */
+SVGShape.prototype._substituteIdReferences = function(subst) {
+	var select					= xpath.useNamespaces({'svg': this.DEFAULT_SVG_NAMESPACE, 'xlink': this.XLINK_NAMESPACE});
+	
+	// Substitute ID references in <style> elements
+	var style					= select('//svg:style', this.dom);
+	if (style.length) {
+		var cssmin				= require('cssmin');
+		select('//svg:style', this.dom).forEach(function(style) {
+			style.textContent	= cssmin(this._replaceIdReferences(style.textContent, subst, true));
 		}, this);
-		
-		// Substitute ID references in aria-labelledby attribute
-		if (this.dom.documentElement.hasAttribute('aria-labelledby')) {
-			this.dom.documentElement.setAttribute('aria-labelledby', this.dom.documentElement.getAttribute('aria-labelledby').split(' ').map(function(label){
-				return (('#' + label) in subst) ? subst['#' + label] : label; 
+	}
+	
+	// Substitute ID references in xlink:href and (SVG 2) href attributes
+	select('//@xlink:href|//@href', this.dom).forEach(function(href){
+		var hrefValue			= href.nodeValue;
+		if ((hrefValue.indexOf('data:') !== 0) && (hrefValue in subst)) {
+			href.ownerElement.setAttribute(href.name, '#' + subst[hrefValue]);
+		}
+	});
+	
+	// Substitute ID references in referencing attributes
+	svgReferenceProperties.forEach(function(refProperty){
+		select('//@' + refProperty, this.dom).forEach(function(ref) {
+			ref.ownerElement.setAttribute(ref.localName, this._replaceIdReferences(ref.nodeValue, subst, false))
+		}, this);
+	}, this);
+	
+	// Substitute ID references in ID list attributes (aria-labelledby, aria-describedby)
+	svgIdListProperties.forEach(function(listProperty){
+		select('//@' + listProperty, this.dom).forEach(function(list) {
+			list.ownerElement.setAttribute(list.localName, list.nodeValue.trim().split(/\s+/).map(function(id){
+				return (('#' + id) in subst) ? subst['#' + id] : id; 
 			}).join(' '));
+		});
+	}, this);
+	
+	// Substitute ID references in SMIL timing attributes (e.g. begin="button.click+1s")
+	svgTimingProperties.forEach(function(timingProperty){
+		select('//@' + timingProperty, this.dom).forEach(function(timing) {
+			timing.ownerElement.setAttribute(timing.localName, this._replaceTimingReferences(timing.nodeValue, subst));
+		}, this);
+	}, this);
+}
+
+/**
+ * Return the IDs referenced within the SVG document
+ * 
+ * Covers the same references that are substituted when namespacing the IDs. Hash-prefixed
+ * tokens in <style> elements are collected generously (including e.g. hex colors).
+ * 
+ * @return {Array}					Referenced IDs
+ */
+SVGShape.prototype.getReferencedIds = function() {
+	var select						= xpath.useNamespaces({'svg': this.DEFAULT_SVG_NAMESPACE, 'xlink': this.XLINK_NAMESPACE}),
+	ids								= [],
+	urls							= function(str) {
+		var regex					= /url\s*\(\s*(["']?)#([^\)"']+)\1\s*\)/g,
+		match;
+		while (match = regex.exec(str)) {
+			ids.push(match[2]);
 		}
-		
-		this._namespaced			= true;
+	};
+	
+	// References in <style> elements (selectors and url() values)
+	select('//svg:style', this.dom).forEach(function(style) {
+		Array.prototype.push.apply(ids, (style.textContent.match(/#[^\s,;:\{\}\(\)\[\]"'>\+~#\.]+/g) || []).map(function(id) {
+			return id.substr(1);
+		}));
+	});
+	
+	// References in xlink:href and href attributes
+	select('//@xlink:href|//@href', this.dom).forEach(function(href){
+		if (href.nodeValue.indexOf('#') === 0) {
+			ids.push(href.nodeValue.substr(1));
+		}
+	});
+	
+	// References in referencing attributes
+	svgReferenceProperties.forEach(function(refProperty){
+		select('//@' + refProperty, this.dom).forEach(function(ref) {
+			urls(ref.nodeValue);
+		});
+	}, this);
+	
+	// References in ID list attributes
+	svgIdListProperties.forEach(function(listProperty){
+		select('//@' + listProperty, this.dom).forEach(function(list) {
+			Array.prototype.push.apply(ids, list.nodeValue.trim().split(/\s+/));
+		});
+	}, this);
+	
+	// References in SMIL timing attributes
+	svgTimingProperties.forEach(function(timingProperty){
+		select('//@' + timingProperty, this.dom).forEach(function(timing) {
+			timing.nodeValue.split(';').forEach(function(value) {
+				var id				= value.match(svgTimingReference);
+				if (id) {
+					ids.push(id[2].replace(/\\(.)/g, '$1'));
+				}
+			});
+		});
+	}, this);
+	
+	return _.uniq(ids);
+}
+
+/**
+ * Return all IDs within the SVG document
+ * 
+ * @return {Array}					IDs
+ */
+SVGShape.prototype.getIds = function() {
+	var select						= xpath.useNamespaces({'svg': this.DEFAULT_SVG_NAMESPACE});
+	return select('//*[@id]', this.dom).map(function(elem) {
+		return elem.getAttribute('id');
+	});
+}
+
+/**
+ * Return the IDs within the SVG document that must be retained verbatim
+ * 
+ * These are the ID of the root element and the IDs of <title> and <desc> elements (used for ARIA
+ * labelling).
+ * 
+ * @return {Array}					Retained IDs
+ */
+SVGShape.prototype.getRetainedIds = function() {
+	var select						= xpath.useNamespaces({'svg': this.DEFAULT_SVG_NAMESPACE});
+	return _.compact([this.dom.documentElement.getAttribute('id')].concat(select('//svg:title[@id]|//svg:desc[@id]', this.dom).map(function(elem) {
+		return elem.getAttribute('id');
+	})));
+}
+
+/**
+ * Remove unreferenced IDs and / or shorten referenced IDs within the SVG document
+ * 
+ * The IDs of the root element and of <title> and <desc> elements are always retained.
+ * 
+ * @param {Object} referenced		Referenced IDs (as keys)
+ * @param {Boolean} cleanup			Remove unreferenced IDs
+ * @param {Function} minify			Callback returning a short replacement ID (optional)
+ * @return {Number}					Number of removed IDs
+ */
+SVGShape.prototype.cleanupIds = function(referenced, cleanup, minify) {
+	var select						= xpath.useNamespaces({'svg': this.DEFAULT_SVG_NAMESPACE}),
+	retained						= this.getRetainedIds(),
+	subst							= {},
+	removed							= 0;
+	select('//*[@id]', this.dom).forEach(function(elem) {
+		var id						= elem.getAttribute('id');
+		if (retained.indexOf(id) >= 0) {
+			return;
+		} else if (!_.has(referenced, id)) {
+			if (cleanup) {
+				elem.removeAttribute('id');
+				++removed;
+			}
+		} else if (_.isFunction(minify)) {
+			subst['#' + id]			= minify(id);
+			elem.setAttribute('id', subst['#' + id]);
+		}
+	});
+	if (_.size(subst)) {
+		this._substituteIdReferences(subst);
 	}
+	return removed;
 }
 
 /**
@@ -668,13 +1185,33 @@ SVGShape.prototype.resetNamespace = function() {
 SVGShape.prototype._replaceIdReferences = function(str, subst, selectors) {
 
 	// Replace url()-style ID references
-	str							= str.replace(/url\s*\(\s*["']?([^\)]+)["']?\s*\)/g, function(match, id){
-		return 'url(' + ((id in subst) ? ('#' + subst[id]) : id) + ')';
+	str							= str.replace(/url\s*\(\s*(["']?)([^\)"']+)\1\s*\)/g, function(match, quote, id){
+		return 'url(' + quote + ((id in subst) ? ('#' + subst[id]) : id) + quote + ')';
 	});
 
 	return selectors ? this._replaceIdReferencesInCssSelectors(str, cssom.parse(str).cssRules, subst) : str;
 }
 
+/**
+ * Replace the ID references in a SMIL timing value
+ * 
+ * Timing values are semicolon separated lists whose syncbase, event and repeat values start with an
+ * element ID (e.g. "button.click+1s", "anim.end" or "anim.repeat(2)"). Dots within IDs have to be
+ * escaped. Offset values (e.g. "1.5s") are left alone.
+ *
+ * @param {String} str			Timing value
+ * @param {Object} subst		ID substitutions
+ * @return {String}				Timing value with replaced ID references
+ */
+SVGShape.prototype._replaceTimingReferences = function(str, subst) {
+	return str.split(';').map(function(timing) {
+		return timing.replace(svgTimingReference, function(match, space, id, rest) {
+			id					= '#' + id.replace(/\\(.)/g, '$1');
+			return (id in subst) ? (space + subst[id].replace(/\./g, '\\.') + rest) : match;
+		});
+	}).join(';');
+}
+
 /**
  * Recursively replace ID references in CSS selectors
  *
@@ -719,6 +1256,18 @@ SVGShape.prototype._replaceIdReferencesInCssSelectors = function(str, rules, sub
 	return css;
 }
 
+/**
+ * Return the IDs this shape and its distributed copies will use (before distribution)
+ * 
+ * @return {Array}				Shape IDs
+ */
+SVGShape.prototype.getDistributedIds = function() {
+	var state					= this.state ? (this.config.id.pseudo + this.state) : '';
+	return this.align.map(function(alignment) {
+		return util.format(alignment[0], this.base) + state;
+	}, this);
+}
+
 /**
  * Create distribute to several copies (if configured)
  * 
@@ -748,6 +1297,84 @@ SVGShape.prototype.distribute = function() {
 	return copies;
 }
 
+/**
+ * Return the alias IDs of this shape (as given by the meta data)
+ * 
+ * Whitespace is replaced the same way as by the default ID generator. Distributed copies and
+ * variants don't have aliases, and aliases rejected due to ID collisions are skipped.
+ * 
+ * @return {Array}				Alias IDs
+ */
+SVGShape.prototype.getAliases = function() {
+	return (this.master || this.variantOf) ? [] : _.difference(_.uniq([].concat(this.meta.aliases || []).filter(function(alias) {
+		return _.isString(alias) && alias.trim().length;
+	}).map(function(alias) {
+		return alias.trim().replace(/\s+/g, this.config.id.whitespace);
+	}, this).filter(function(alias) {
+		return alias != this.id;
+	}, this)), this.rejectedAliases);
+}
+
+/**
+ * Log a message regarding this shape and record it
+ * 
+ * Transformers should report their findings this way, as the recorded messages are stored in the
+ * transformation cache and repeated whenever the cached result is reused.
+ * 
+ * @param {String} level		Log level (e.g. "warn")
+ * @param {String} message		Message (format string, followed by its arguments)
+ * @return {SVGShape}			Self reference
+ */
+SVGShape.prototype.report = function(level, message) {
+	message					= util.format.apply(util, _.toArray(arguments).slice(1));
+	this.reports.push([level, message]);
+	this.spriter[level]('%s', message);
+	return this;
+}
+
+/**
+ * Register a variant of this shape (e.g. a recolored version)
+ * 
+ * Variants are turned into separate shapes after the shape has been transformed.
+ * 
+ * @param {String} id			Variant ID (the placeholder "%s" will be replaced by the shape ID, otherwise the value is used as suffix)
+ * @param {String} svg			Variant SVG
+ * @return {SVGShape}			Self reference
+ */
+SVGShape.prototype.addVariant = function(id, svg) {
+	this.variants.push({id: id, svg: svg});
+	return this;
+}
+
+/**
+ * Create the registered variants of this shape
+ * 
+ * @return {Array}				Variant shapes
+ */
+SVGShape.prototype.createVariants = function() {
+	return this.variants.map(function(variant) {
+		var shape				= new SVGShape(this.source, this.spriter);
+		shape.setSVG(variant.svg);
+		shape.id				= (variant.id.indexOf('%s') >= 0) ? util.format(variant.id, this.id) : (this.id + variant.id);
+		shape.state				= shape.id.split(this.config.id.pseudo);
+		shape.base				= shape.state.shift();
+		shape.state				= shape.state.shift() || null;
+		shape.variantOf			= this;
+		shape.meta				= normalizeMeta((shape.id in this.config.meta) ? this.config.meta[shape.id] : {});
+		return shape;
+	}, this);
+}
+
+/**
+ * Return the original shape (the master of a distributed copy or the shape a variant was derived from)
+ * 
+ * @return {SVGShape}			Original shape
+ */
+SVGShape.prototype.getOriginal = function() {
+	var master					= this.master || this;
+	return master.variantOf || master;
+}
+
 /**
  * Module export (constructor wrapper)
  * 
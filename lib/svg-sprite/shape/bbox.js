@@ -0,0 +1,587 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+/**
+ * Elements that are never rendered directly
+ *
+ * @type {Array}
+ */
+var hidden								= ['defs', 'symbol', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient', 'radialGradient',
+										'filter', 'title', 'desc', 'metadata', 'style', 'script', 'font', 'font-face'],
+/**
+ * Container elements
+ *
+ * @type {Array}
+ */
+containers							= ['svg', 'g', 'a', 'switch'],
+/**
+ * Number of arguments per path command
+ *
+ * @type {Object}
+ */
+pathArguments						= {m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0},
+/**
+ * Identity matrix
+ *
+ * @type {Array}
+ */
+identity							= [1, 0, 0, 1, 0, 0];
+
+/**
+ * Multiply two affine transformation matrices ([a, b, c, d, e, f])
+ *
+ * @param {Array} m1				First matrix
+ * @param {Array} m2				Second matrix
+ * @return {Array}					Product
+ */
+function multiply(m1, m2) {
+	return [
+		m1[0] * m2[0] + m1[2] * m2[1],
+		m1[1] * m2[0] + m1[3] * m2[1],
+		m1[0] * m2[2] + m1[2] * m2[3],
+		m1[1] * m2[2] + m1[3] * m2[3],
+		m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+		m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+	];
+}
+
+/**
+ * Parse a transform attribute into a matrix
+ *
+ * @param {String} transform		Transform attribute
+ * @return {Array}					Matrix
+ */
+function parseTransform(transform) {
+	var matrix						= identity,
+	regex							= /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^\)]*)\)/g,
+	match;
+	while ((match = regex.exec(transform || ''))) {
+		var args					= numbers(match[2]),
+		m							= identity;
+		switch (match[1]) {
+			case 'matrix':
+				m					= (args.length == 6) ? args : identity;
+				break;
+			case 'translate':
+				m					= [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+				break;
+			case 'scale':
+				m					= [args[0], 0, 0, (args.length > 1) ? args[1] : args[0], 0, 0];
+				break;
+			case 'rotate':
+				var angle			= (args[0] || 0) * Math.PI / 180,
+				cos					= Math.cos(angle),
+				sin					= Math.sin(angle),
+				cx					= args[1] || 0,
+				cy					= args[2] || 0;
+				m					= [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+				break;
+			case 'skewX':
+				m					= [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+				break;
+			case 'skewY':
+				m					= [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+				break;
+		}
+		matrix						= multiply(matrix, m);
+	}
+	return matrix;
+}
+
+/**
+ * Extract all numbers from a string
+ *
+ * @param {String} str				String
+ * @return {Array}					Numbers
+ */
+function numbers(str) {
+	return (('' + str).match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(parseFloat);
+}
+
+/**
+ * Return a numeric attribute value
+ *
+ * @param {Element} element			Element
+ * @param {String} attribute		Attribute name
+ * @return {Number}					Value (0 if not available)
+ */
+function attr(element, attribute) {
+	return parseFloat(element.getAttribute(attribute), 10) || 0;
+}
+
+/**
+ * Return the transformation matrix establishing the viewport of a nested <svg> element
+ *
+ * Maps the viewBox (if any) onto the element's position and dimensions according to its
+ * preserveAspectRatio attribute. A missing dimension is derived from the aspect ratio of the viewBox.
+ *
+ * @param {Element} element			Nested <svg> element
+ * @return {Array}					Transformation matrix
+ */
+function viewport(element) {
+	var x							= attr(element, 'x'),
+	y								= attr(element, 'y'),
+	viewBox							= numbers(element.getAttribute('viewBox'));
+	if ((viewBox.length != 4) || (viewBox[2] <= 0) || (viewBox[3] <= 0)) {
+		return [1, 0, 0, 1, x, y];
+	}
+	var width						= /%/.test(element.getAttribute('width')) ? 0 : attr(element, 'width'),
+	height							= /%/.test(element.getAttribute('height')) ? 0 : attr(element, 'height');
+	if (!(width > 0) && !(height > 0)) {
+		width						= viewBox[2];
+		height						= viewBox[3];
+	} else if (!(width > 0)) {
+		width						= height * viewBox[2] / viewBox[3];
+	} else if (!(height > 0)) {
+		height						= width * viewBox[3] / viewBox[2];
+	}
+	var scaleX						= width / viewBox[2],
+	scaleY							= height / viewBox[3],
+	preserve						= (element.getAttribute('preserveAspectRatio') || 'xMidYMid meet').trim().split(/\s+/);
+	if (preserve[0] == 'defer') {
+		preserve.shift();
+	}
+	if (preserve[0] != 'none') {
+		var align					= (preserve[0] || 'xMidYMid').match(/^x(Min|Mid|Max)Y(Min|Mid|Max)$/) || [null, 'Mid', 'Mid'],
+		offset						= {Min: 0, Mid: .5, Max: 1};
+		scaleX						=
+		scaleY						= ((preserve[1] == 'slice') ? Math.max : Math.min)(scaleX, scaleY);
+		x							+= (width - viewBox[2] * scaleX) * offset[align[1]];
+		y							+= (height - viewBox[3] * scaleY) * offset[align[2]];
+	}
+	return [scaleX, 0, 0, scaleY, x - viewBox[0] * scaleX, y - viewBox[1] * scaleY];
+}
+
+/**
+ * Bounding box accumulator
+ */
+function Box() {
+	this.x1							=
+	this.y1							= Infinity;
+	this.x2							=
+	this.y2							= -Infinity;
+}
+
+/**
+ * Include a point
+ *
+ * @param {Array} m					Transformation matrix
+ * @param {Number} x				X coordinate
+ * @param {Number} y				Y coordinate
+ */
+Box.prototype.add = function(m, x, y) {
+	var tx							= m[0] * x + m[2] * y + m[4],
+	ty								= m[1] * x + m[3] * y + m[5];
+	this.x1							= Math.min(this.x1, tx);
+	this.x2							= Math.max(this.x2, tx);
+	this.y1							= Math.min(this.y1, ty);
+	this.y2							= Math.max(this.y2, ty);
+}
+
+/**
+ * Include an (untransformed) point
+ *
+ * @param {Number} x				X coordinate
+ * @param {Number} y				Y coordinate
+ */
+Box.prototype.addPoint = function(x, y) {
+	this.add(identity, x, y);
+}
+
+/**
+ * Include a cubic bézier curve (transformed control points)
+ *
+ * @param {Array} p					Control points ([x0, y0, x1, y1, x2, y2, x3, y3])
+ */
+Box.prototype.addCubic = function(p) {
+	this.addPoint(p[0], p[1]);
+	this.addPoint(p[6], p[7]);
+	[0, 1].forEach(function(axis) {
+		var p0						= p[axis], p1 = p[axis + 2], p2 = p[axis + 4], p3 = p[axis + 6],
+		a							= -p0 + 3 * p1 - 3 * p2 + p3,
+		b							= 2 * (p0 - 2 * p1 + p2),
+		c							= p1 - p0;
+		roots(a, b, c).forEach(function(t) {
+			var mt					= 1 - t;
+			this.addPoint(
+				mt * mt * mt * p[0] + 3 * mt * mt * t * p[2] + 3 * mt * t * t * p[4] + t * t * t * p[6],
+				mt * mt * mt * p[1] + 3 * mt * mt * t * p[3] + 3 * mt * t * t * p[5] + t * t * t * p[7]
+			);
+		}, this);
+	}, this);
+}
+
+/**
+ * Include an elliptical arc (transformed center parametrization)
+ *
+ * @param {Array} m					Linear mapping of the unit circle ([a, b, c, d, e, f])
+ * @param {Number} start			Start angle
+ * @param {Number} delta			Angle delta
+ */
+Box.prototype.addArc = function(m, start, delta) {
+	var angles						= [start, start + delta];
+	[Math.atan2(m[2], m[0]), Math.atan2(m[3], m[1])].forEach(function(extremum) {
+		for (var k = -2; k <= 2; ++k) {
+			var angle				= extremum + k * Math.PI;
+			if ((delta >= 0) ? ((angle > start) && (angle < start + delta)) : ((angle < start) && (angle > start + delta))) {
+				angles.push(angle);
+			}
+		}
+	});
+	angles.forEach(function(angle) {
+		this.add(m, Math.cos(angle), Math.sin(angle));
+	}, this);
+}
+
+/**
+ * Return the resulting box
+ *
+ * @return {Object}					Box (NULL if empty)
+ */
+Box.prototype.toBox = function() {
+	return (this.x1 <= this.x2) ? {x: this.x1, y: this.y1, width: this.x2 - this.x1, height: this.y2 - this.y1} : null;
+}
+
+/**
+ * Return the roots of at² + bt + c within ]0, 1[
+ *
+ * @param {Number} a				Quadratic coefficient
+ * @param {Number} b				Linear coefficient
+ * @param {Number} c				Constant
+ * @return {Array}					Roots
+ */
+function roots(a, b, c) {
+	var result						= [];
+	if (Math.abs(a) < 1e-12) {
+		if (Math.abs(b) > 1e-12) {
+			result.push(-c / b);
+		}
+	} else {
+		var discriminant			= b * b - 4 * a * c;
+		if (discriminant >= 0) {
+			result.push((-b + Math.sqrt(discriminant)) / (2 * a), (-b - Math.sqrt(discriminant)) / (2 * a));
+		}
+	}
+	return result.filter(function(t) {
+		return (t > 0) && (t < 1);
+	});
+}
+
+/**
+ * Tokenize path data
+ *
+ * Arc flags may be written without separators, so they are read as single digits.
+ *
+ * @param {String} d				Path data
+ * @return {Array}					Commands ([{command: 'M', args: [...]}, ...])
+ */
+function parsePath(d) {
+	var commands					= [],
+	regex							= /\s*([MmZzLlHhVvCcSsQqTtAa])|\s*,?\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/g,
+	flag							= /\s*,?\s*([01])/g,
+	command							= null,
+	match;
+	d								= '' + d;
+	while ((match = regex.exec(d))) {
+		if (match[1]) {
+			command					= {command: match[1], args: []};
+			commands.push(command);
+		} else if (command) {
+			var type				= command.command.toLowerCase(),
+			count					= pathArguments[type];
+			if (!count) {
+				break;
+			}
+
+			// Implicit command repetition
+			if (command.args.length == count) {
+				command				= {command: (type == 'm') ? ((command.command == 'm') ? 'l' : 'L') : command.command, args: []};
+				commands.push(command);
+			}
+
+			// Arc flags
+			if ((type == 'a') && ((command.args.length == 3) || (command.args.length == 4))) {
+				flag.lastIndex		= match.index;
+				var flagMatch		= flag.exec(d);
+				if (flagMatch && (flagMatch.index == match.index)) {
+					command.args.push(+flagMatch[1]);
+					regex.lastIndex	= flag.lastIndex;
+					continue;
+				}
+			}
+			command.args.push(parseFloat(match[2]));
+		}
+	}
+	return commands.filter(function(command) {
+		return command.args.length == pathArguments[command.command.toLowerCase()];
+	});
+}
+
+/**
+ * Include a path
+ *
+ * @param {Box} box					Bounding box
+ * @param {Array} m					Transformation matrix
+ * @param {String} d				Path data
+ */
+function addPath(box, m, d) {
+	var x							= 0, y = 0, startX = 0, startY = 0,
+	control							= null,
+	point							= function(px, py) {
+		return [m[0] * px + m[2] * py + m[4], m[1] * px + m[3] * py + m[5]];
+	},
+	reflect							= function(type) {
+		return (control && (control.type == type)) ? [2 * x - control.x, 2 * y - control.y] : [x, y];
+	};
+	parsePath(d).forEach(function(segment) {
+		var type					= segment.command.toLowerCase(),
+		a							= segment.args,
+		dx							= (segment.command == type) ? x : 0,
+		dy							= (segment.command == type) ? y : 0,
+		next						= null,
+		p, c1, c2;
+
+		switch (type) {
+			case 'm':
+				x					= startX = a[0] + dx;
+				y					= startY = a[1] + dy;
+				box.add(m, x, y);
+				break;
+			case 'l':
+				x					= a[0] + dx;
+				y					= a[1] + dy;
+				box.add(m, x, y);
+				break;
+			case 'h':
+				x					= a[0] + dx;
+				box.add(m, x, y);
+				break;
+			case 'v':
+				y					= a[0] + dy;
+				box.add(m, x, y);
+				break;
+			case 'c':
+			case 's':
+				c1					= (type == 'c') ? [a[0] + dx, a[1] + dy] : reflect('c');
+				a					= (type == 'c') ? a.slice(2) : a;
+				c2					= [a[0] + dx, a[1] + dy];
+				p					= [a[2] + dx, a[3] + dy];
+				box.addCubic([].concat(point(x, y), point(c1[0], c1[1]), point(c2[0], c2[1]), point(p[0], p[1])));
+				next				= {type: 'c', x: c2[0], y: c2[1]};
+				x					= p[0];
+				y					= p[1];
+				break;
+			case 'q':
+			case 't':
+				c1					= (type == 'q') ? [a[0] + dx, a[1] + dy] : reflect('q');
+				a					= (type == 'q') ? a.slice(2) : a;
+				p					= [a[0] + dx, a[1] + dy];
+				addQuadratic(box, point, [x, y], c1, p);
+				next				= {type: 'q', x: c1[0], y: c1[1]};
+				x					= p[0];
+				y					= p[1];
+				break;
+			case 'a':
+				p					= [a[5] + dx, a[6] + dy];
+				addArc(box, m, [x, y], a[0], a[1], a[2], a[3], a[4], p);
+				x					= p[0];
+				y					= p[1];
+				break;
+			case 'z':
+				x					= startX;
+				y					= startY;
+				break;
+		}
+		control						= next;
+	});
+}
+
+/**
+ * Include a quadratic bézier curve (by elevating it to a cubic one)
+ *
+ * @param {Box} box					Bounding box
+ * @param {Function} point			Point transformation
+ * @param {Array} p0				Start point
+ * @param {Array} p1				Control point
+ * @param {Array} p2				End point
+ */
+function addQuadratic(box, point, p0, p1, p2) {
+	box.addCubic([].concat(
+		point(p0[0], p0[1]),
+		point(p0[0] + 2 / 3 * (p1[0] - p0[0]), p0[1] + 2 / 3 * (p1[1] - p0[1])),
+		point(p2[0] + 2 / 3 * (p1[0] - p2[0]), p2[1] + 2 / 3 * (p1[1] - p2[1])),
+		point(p2[0], p2[1])
+	));
+}
+
+/**
+ * Include an elliptical arc given in endpoint parametrization
+ *
+ * @param {Box} box					Bounding box
+ * @param {Array} m					Transformation matrix
+ * @param {Array} p0				Start point
+ * @param {Number} rx				X radius
+ * @param {Number} ry				Y radius
+ * @param {Number} rotation			X axis rotation (degrees)
+ * @param {Number} large			Large arc flag
+ * @param {Number} sweep			Sweep flag
+ * @param {Array} p1				End point
+ */
+function addArc(box, m, p0, rx, ry, rotation, large, sweep, p1) {
+	rx								= Math.abs(rx);
+	ry								= Math.abs(ry);
+	box.add(m, p0[0], p0[1]);
+	box.add(m, p1[0], p1[1]);
+	if (!rx || !ry || ((p0[0] == p1[0]) && (p0[1] == p1[1]))) {
+		return;
+	}
+
+	// Conversion to center parametrization (see SVG 1.1, appendix F.6.5)
+	var phi							= rotation * Math.PI / 180,
+	cos								= Math.cos(phi),
+	sin								= Math.sin(phi),
+	hx								= (p0[0] - p1[0]) / 2,
+	hy								= (p0[1] - p1[1]) / 2,
+	x1								= cos * hx + sin * hy,
+	y1								= -sin * hx + cos * hy,
+	lambda							= (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+	if (lambda > 1) {
+		rx							*= Math.sqrt(lambda);
+		ry							*= Math.sqrt(lambda);
+	}
+	var numerator					= rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1,
+	factor							= ((large == sweep) ? -1 : 1) * Math.sqrt(Math.max(0, numerator / (rx * rx * y1 * y1 + ry * ry * x1 * x1))),
+	cx1								= factor * rx * y1 / ry,
+	cy1								= -factor * ry * x1 / rx,
+	cx								= cos * cx1 - sin * cy1 + (p0[0] + p1[0]) / 2,
+	cy								= sin * cx1 + cos * cy1 + (p0[1] + p1[1]) / 2,
+	vector							= function(ux, uy, vx, vy) {
+		return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+	},
+	start							= vector(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry),
+	delta							= vector((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+	if (!sweep && (delta > 0)) {
+		delta						-= 2 * Math.PI;
+	} else if (sweep && (delta < 0)) {
+		delta						+= 2 * Math.PI;
+	}
+
+	// Map the unit circle onto the transformed ellipse
+	box.addArc(multiply(m, [cos * rx, sin * rx, -sin * ry, cos * ry, cx, cy]), start, delta);
+}
+
+/**
+ * Include an element (and its descendants)
+ *
+ * @param {Box} box					Bounding box
+ * @param {Element} element			Element
+ * @param {Array} m					Transformation matrix
+ * @param {Number} depth			Reference depth (guarding against circular references)
+ */
+function addElement(box, element, m, depth) {
+	var name						= element.localName;
+	if ((hidden.indexOf(name) >= 0) || (element.getAttribute('display') == 'none') || (depth > 10)) {
+		return;
+	}
+	if (element.hasAttribute('transform')) {
+		m							= multiply(m, parseTransform(element.getAttribute('transform')));
+	}
+
+	switch (name) {
+		case 'rect':
+		case 'image':
+		case 'foreignObject':
+			var x					= attr(element, 'x'),
+			y						= attr(element, 'y'),
+			width					= attr(element, 'width'),
+			height					= attr(element, 'height');
+			if ((width > 0) && (height > 0)) {
+				box.add(m, x, y);
+				box.add(m, x + width, y);
+				box.add(m, x, y + height);
+				box.add(m, x + width, y + height);
+			}
+			break;
+		case 'circle':
+		case 'ellipse':
+			var rx					= attr(element, (name == 'circle') ? 'r' : 'rx'),
+			ry						= attr(element, (name == 'circle') ? 'r' : 'ry');
+			if ((rx > 0) && (ry > 0)) {
+				box.addArc(multiply(m, [rx, 0, 0, ry, attr(element, 'cx'), attr(element, 'cy')]), 0, 2 * Math.PI);
+			}
+			break;
+		case 'line':
+			box.add(m, attr(element, 'x1'), attr(element, 'y1'));
+			box.add(m, attr(element, 'x2'), attr(element, 'y2'));
+			break;
+		case 'polyline':
+		case 'polygon':
+			var points				= numbers(element.getAttribute('points'));
+			for (var p = 0; p + 1 < points.length; p += 2) {
+				box.add(m, points[p], points[p + 1]);
+			}
+			break;
+		case 'path':
+			addPath(box, m, element.getAttribute('d'));
+			break;
+		case 'use':
+			var href				= (element.getAttribute('xlink:href') || element.getAttribute('href')).match(/^#(.+)$/),
+			referenced				= href ? element.ownerDocument.getElementById(href[1]) : null;
+			if (referenced) {
+				m					= multiply(m, [1, 0, 0, 1, attr(element, 'x'), attr(element, 'y')]);
+				if (referenced.localName == 'symbol') {
+					addChildren(box, referenced, m, depth + 1);
+				} else {
+					addElement(box, referenced, m, depth + 1);
+				}
+			}
+			break;
+		default:
+			if (containers.indexOf(name) >= 0) {
+				if ((name == 'svg') && (element !== element.ownerDocument.documentElement)) {
+					m				= multiply(m, viewport(element));
+				}
+				addChildren(box, element, m, depth);
+			}
+	}
+}
+
+/**
+ * Include all child elements of an element
+ *
+ * @param {Box} box					Bounding box
+ * @param {Element} element			Element
+ * @param {Array} m					Transformation matrix
+ * @param {Number} depth			Reference depth
+ */
+function addChildren(box, element, m, depth) {
+	for (var c = 0; c < element.childNodes.length; ++c) {
+		if (element.childNodes.item(c).nodeType == 1) {
+			addElement(box, element.childNodes.item(c), m, depth);
+		}
+	}
+}
+
+/**
+ * Calculate the geometric bounding box of an element's content
+ *
+ * The bounding box covers paths, basic shapes, images and referenced elements (respecting their
+ * transformations), but neither stroke widths nor text (which cannot be measured without rendering).
+ *
+ * @param {Element} element			Element (usually the root SVG element)
+ * @return {Object}					Bounding box ({x, y, width, height}, NULL if there's no measurable content)
+ */
+module.exports = function(element) {
+	var box							= new Box();
+	addChildren(box, element, identity, 0);
+	return box.toBox();
+}
\ No newline at end of file
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+var _								= require('lodash'),
+paint								= require('./paint'),
+/**
+ * Default configuration
+ *
+ * @type {Object}
+ */
+defaultConfig						= {
+	properties						: ['fill', 'stroke'],	// Paint properties to convert
+	keepNone						: true,					// Keep `none` values (instead of converting them as well)
+	preserve						: [],					// Colors that should be left untouched
+	singleColor						: false					// Only convert shapes using a single color
+};
+
+/**
+ * currentColor transformation
+ *
+ * Rewrites the fill and stroke colors of a shape to `currentColor` so that the shape inherits the
+ * text color of its context.
+ *
+ * @param {SVGShape} shape				SVG shape
+ * @param {Object} config				Transform configuration
+ * @param {SVGSpriter} spriter			Spriter instance
+ * @param {Function} cb					Callback
+ */
+module.exports = function(shape, config, spriter, cb) {
+	config							= _.assign({}, defaultConfig, config);
+	var properties					= [].concat(config.properties),
+	preserve						= [].concat(config.preserve).map(paint.normalize);
+
+	try {
+
+		// Skip multi-colored shapes if requested
+		if (config.singleColor) {
+			var colors				= _.difference(paint.colors(shape.dom, properties), preserve);
+			if (colors.length > 1) {
+				spriter.debug('Skipped currentColor conversion of "%s" (%s colors)', shape.name, colors.length);
+				cb(null);
+				return;
+			}
+		}
+
+		var changed					= paint.rewrite(shape.dom, properties, function(property, value) {
+			var color				= paint.normalize(value);
+			if (color ? (preserve.indexOf(color) < 0) : (!config.keepNone && (value.trim() == 'none'))) {
+				return 'currentColor';
+			}
+		});
+
+		if (changed) {
+			shape.setSVG(shape.getSVG(false));
+			spriter.debug('Converted the colors of "%s" to currentColor', shape.name);
+		}
+		cb(null);
+	} catch (error) {
+		spriter.error('Converting the colors of "%s" to currentColor failed with error "%s"', shape.name, error);
+		cb(error);
+	}
+}
\ No newline at end of file
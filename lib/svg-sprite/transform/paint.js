@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+var _								= require('lodash'),
+cssom								= require('cssom'),
+/**
+ * Paint keywords that don't represent a color
+ *
+ * @type {Array}
+ */
+keywords							= ['none', 'currentcolor', 'inherit', 'transparent', 'context-fill', 'context-stroke'];
+
+/**
+ * Normalize a color value
+ *
+ * Hexadecimal and rgb() colors are converted to lowercase 6-digit hexadecimal notation, color
+ * names are lowercased. Paint keywords (`none`, `currentColor`, …), paint server references and
+ * unsupported notations return NULL.
+ *
+ * @param {String} value				Paint value
+ * @return {String}						Normalized color
+ */
+function normalize(value) {
+	var color						= ('' + value).trim().toLowerCase(),
+	match;
+	if (!color.length || (keywords.indexOf(color) >= 0) || (color.indexOf('url(') === 0)) {
+		return null;
+	}
+	if (/^#[0-9a-f]{3}$/.test(color)) {
+		return '#' + color.substr(1).split('').map(function(digit) {
+			return digit + digit;
+		}).join('');
+	}
+	if (/^#[0-9a-f]{6}$/.test(color) || /^[a-z]+$/.test(color)) {
+		return color;
+	}
+	if ((match = color.match(/^rgb\(\s*([\d\.]+%?)\s*,\s*([\d\.]+%?)\s*,\s*([\d\.]+%?)\s*\)$/))) {
+		return '#' + match.slice(1).map(function(channel) {
+			var value				= parseFloat(channel, 10);
+			value					= Math.max(0, Math.min(255, Math.round((channel.substr(-1) == '%') ? (value * 2.55) : value)));
+			return ((value < 16) ? '0' : '') + value.toString(16);
+		}).join('');
+	}
+	return null;
+}
+
+/**
+ * Rewrite the paint properties of all rules within a list of CSS rules
+ *
+ * @param {Array} rules					CSS rules
+ * @param {Array} properties			Paint properties
+ * @param {Function} callback			Rewrite callback
+ * @return {Boolean}					Whether a value has been changed
+ */
+function rewriteRules(rules, properties, callback) {
+	var changed						= false;
+	rules.forEach(function(rule) {
+		if (_.isArray(rule.cssRules)) {
+			changed					= rewriteRules(rule.cssRules, properties, callback) || changed;
+		} else if (rule.style) {
+			changed					= rewriteDeclaration(rule.style, properties, callback) || changed;
+		}
+	});
+	return changed;
+}
+
+/**
+ * Rewrite the paint properties of a CSS declaration block
+ *
+ * @param {CSSStyleDeclaration} style	Declaration block
+ * @param {Array} properties			Paint properties
+ * @param {Function} callback			Rewrite callback
+ * @return {Boolean}					Whether a value has been changed
+ */
+function rewriteDeclaration(style, properties, callback) {
+	var changed						= false;
+	properties.forEach(function(property) {
+		var value					= style.getPropertyValue(property);
+		if (value) {
+			var replacement			= callback(property, value);
+			if (_.isString(replacement) && (replacement !== value)) {
+				style.setProperty(property, replacement, style.getPropertyPriority(property));
+				changed				= true;
+			}
+		}
+	});
+	return changed;
+}
+
+/**
+ * Visit (and optionally rewrite) all paint values within an SVG document
+ *
+ * Paint values are looked up in presentation attributes, inline `style` attributes and `<style>`
+ * elements. The callback is called with the property name and the current value and may return
+ * a replacement value.
+ *
+ * @param {Document} dom				SVG document
+ * @param {Array} properties			Paint properties (e.g. `fill` and `stroke`)
+ * @param {Function} callback			Rewrite callback
+ * @return {Boolean}					Whether a value has been changed
+ */
+function rewrite(dom, properties, callback) {
+	var changed						= false,
+	elements						= dom.getElementsByTagName('*');
+	for (var e = 0; e < elements.length; ++e) {
+		var element					= elements[e];
+
+		// Presentation attributes
+		properties.forEach(function(property) {
+			if (element.hasAttribute(property)) {
+				var value			= element.getAttribute(property),
+				replacement			= callback(property, value);
+				if (_.isString(replacement) && (replacement !== value)) {
+					element.setAttribute(property, replacement);
+					changed			= true;
+				}
+			}
+		});
+
+		// Inline styles
+		if (element.hasAttribute('style')) {
+			var style				= cssom.parse('x{' + element.getAttribute('style') + '}').cssRules[0].style;
+			if (rewriteDeclaration(style, properties, callback)) {
+				element.setAttribute('style', style.cssText);
+				changed				= true;
+			}
+		}
+
+		// Stylesheets
+		if ((element.localName == 'style') && element.textContent.trim().length) {
+			var sheet				= cssom.parse(element.textContent);
+			if (rewriteRules(sheet.cssRules, properties, callback)) {
+				element.textContent	= sheet.toString();
+				changed				= true;
+			}
+		}
+	}
+	return changed;
+}
+
+/**
+ * Return the distinct (normalized) colors used within an SVG document
+ *
+ * @param {Document} dom				SVG document
+ * @param {Array} properties			Paint properties
+ * @return {Array}						Colors
+ */
+function colors(dom, properties) {
+	var found						= [];
+	rewrite(dom, properties, function(property, value) {
+		var color					= normalize(value);
+		if (color && (found.indexOf(color) < 0)) {
+			found.push(color);
+		}
+	});
+	return found;
+}
+
+/**
+ * Module export
+ */
+module.exports = {
+	normalize						: normalize,
+	rewrite							: rewrite,
+	colors							: colors
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+var _								= require('lodash'),
+xmldom								= require('xmldom'),
+DOMParser							= xmldom.DOMParser,
+XMLSerializer						= xmldom.XMLSerializer,
+paint								= require('./paint'),
+/**
+ * Default configuration
+ *
+ * @type {Object}
+ */
+defaultConfig						= {
+	properties						: ['fill', 'stroke', 'stop-color'],	// Paint properties to rewrite
+	variants						: {}								// Color maps by variant ID
+};
+
+/**
+ * Recolor transformation
+ *
+ * Creates a variant of the shape for each configured color map. The color maps translate source
+ * colors to variant colors, with the special key "*" matching all colors that aren't listed
+ * explicitly.
+ *
+ * @param {SVGShape} shape				SVG shape
+ * @param {Object} config				Transform configuration
+ * @param {SVGSpriter} spriter			Spriter instance
+ * @param {Function} cb					Callback
+ */
+module.exports = function(shape, config, spriter, cb) {
+	config							= _.assign({}, defaultConfig, config);
+	var properties					= [].concat(config.properties);
+
+	try {
+		_.forOwn(config.variants, function(colors, id) {
+			var map					= {},
+			dom						= new DOMParser().parseFromString(shape.getSVG(false));
+			for (var color in colors) {
+				var key				= (color == '*') ? color : paint.normalize(color);
+				if (key) {
+					map[key]		= colors[color];
+				}
+			}
+			paint.rewrite(dom, properties, function(property, value) {
+				var color			= paint.normalize(value);
+				if (color) {
+					return (color in map) ? map[color] : map['*'];
+				}
+			});
+			shape.addVariant(id, new XMLSerializer().serializeToString(dom));
+			spriter.debug('Created variant "%s" of "%s"', id, shape.name);
+		});
+		cb(null);
+	} catch (error) {
+		spriter.error('Recoloring "%s" failed with error "%s"', shape.name, error);
+		cb(error);
+	}
+}
\ No newline at end of file
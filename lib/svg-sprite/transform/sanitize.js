@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * svg-sprite is a Node.js module for creating SVG sprites
+ *
+ * @see https://github.com/jkphl/svg-sprite
+ *
+ * @author Joschi Kuphal <joschi@kuphal.net> (https://github.com/jkphl)
+ * @copyright © 2015 Joschi Kuphal
+ * @license MIT https://raw.github.com/jkphl/svg-sprite/master/LICENSE
+ */
+
+var _								= require('lodash'),
+cssom								= require('cssom'),
+util								= require('util'),
+/**
+ * Default configuration
+ *
+ * @type {Object}
+ */
+defaultConfig						= {
+	elements						: [										// Allowed elements
+		'a', 'circle', 'clipPath', 'defs', 'desc', 'ellipse', 'feBlend', 'feColorMatrix', 'feComponentTransfer',
+		'feComposite', 'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow',
+		'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+		'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence',
+		'filter', 'g', 'image', 'line', 'linearGradient', 'marker', 'mask', 'path', 'pattern', 'polygon', 'polyline',
+		'radialGradient', 'rect', 'stop', 'style', 'svg', 'switch', 'symbol', 'text', 'textPath', 'title', 'tspan',
+		'use', 'view'
+	],
+	attributes						: [										// Allowed attributes (a trailing "*" matches any suffix)
+		'id', 'class', 'style', 'lang', 'xml:lang', 'xml:space', 'role', 'focusable', 'aria-*', 'data-*', 'version',
+		'baseProfile', 'x', 'y', 'width', 'height', 'rx', 'ry', 'cx', 'cy', 'r', 'fx', 'fy', 'fr', 'x1', 'y1', 'x2',
+		'y2', 'd', 'points', 'pathLength', 'transform', 'viewBox', 'preserveAspectRatio', 'href', 'xlink:href',
+		'xlink:title', 'target', 'type', 'media', 'title', 'offset', 'gradientUnits', 'gradientTransform',
+		'spreadMethod', 'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits', 'maskUnits',
+		'maskContentUnits', 'markerUnits', 'markerWidth', 'markerHeight', 'refX', 'refY', 'orient', 'filterUnits',
+		'primitiveUnits', 'in', 'in2', 'result', 'mode', 'values', 'operator', 'k1', 'k2', 'k3', 'k4', 'order',
+		'kernelMatrix', 'divisor', 'bias', 'targetX', 'targetY', 'edgeMode', 'kernelUnitLength', 'preserveAlpha',
+		'surfaceScale', 'diffuseConstant', 'specularConstant', 'specularExponent', 'azimuth', 'elevation',
+		'pointsAtX', 'pointsAtY', 'pointsAtZ', 'limitingConeAngle', 'scale', 'xChannelSelector', 'yChannelSelector',
+		'stdDeviation', 'dx', 'dy', 'radius', 'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+		'baseFrequency', 'numOctaves', 'seed', 'stitchTiles', 'rotate', 'textLength', 'lengthAdjust', 'startOffset',
+		'method', 'spacing', 'requiredFeatures', 'requiredExtensions', 'systemLanguage', 'alignment-baseline',
+		'baseline-shift', 'clip', 'clip-path', 'clip-rule', 'color', 'color-interpolation',
+		'color-interpolation-filters', 'color-profile', 'color-rendering', 'direction', 'display', 'dominant-baseline',
+		'enable-background', 'fill', 'fill-opacity', 'fill-rule', 'filter', 'flood-color', 'flood-opacity',
+		'font-family', 'font-size', 'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-weight',
+		'glyph-orientation-horizontal', 'glyph-orientation-vertical', 'image-rendering', 'kerning', 'letter-spacing',
+		'lighting-color', 'marker-end', 'marker-mid', 'marker-start', 'mask', 'opacity', 'overflow', 'paint-order',
+		'pointer-events', 'shape-rendering', 'stop-color', 'stop-opacity', 'stroke', 'stroke-dasharray',
+		'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-opacity',
+		'stroke-width', 'text-anchor', 'text-decoration', 'text-rendering', 'unicode-bidi', 'vector-effect',
+		'visibility', 'word-spacing', 'writing-mode'
+	],
+	schemes							: []									// Allowed URL schemes for references (local references are always allowed)
+},
+/**
+ * SVG namespace
+ *
+ * @type {String}
+ */
+SVG_NAMESPACE						= 'http://www.w3.org/2000/svg';
+
+/**
+ * SVG sanitizer
+ *
+ * @param {Object} config				Sanitizer configuration
+ */
+function SVGSanitizer(config) {
+	this.elements					= [].concat(config.elements);
+	this.attributes					= [].concat(config.attributes);
+	this.schemes					= [].concat(config.schemes).map(function(scheme) {
+		return ('' + scheme).toLowerCase().replace(/:$/, '');
+	});
+	this.removed					= [];
+}
+
+/**
+ * Prototype
+ *
+ * @type {Object}
+ */
+SVGSanitizer.prototype = {};
+
+/**
+ * Check whether an URL may be referenced
+ *
+ * Local references (fragment identifiers) are always allowed, other URLs only if their scheme is
+ * in the list of allowed schemes (relative URLs are never allowed).
+ *
+ * @param {String} url					URL
+ * @return {Boolean}					URL may be referenced
+ */
+SVGSanitizer.prototype.isAllowedURL = function(url) {
+	var normalized					= ('' + url).replace(/[\s\u0000-\u001f]+/g, ''),
+	scheme							= normalized.match(/^([a-z][a-z0-9\+\.\-]*):/i);
+	return !normalized.length || (normalized.indexOf('#') === 0) || (!!scheme && (this.schemes.indexOf(scheme[1].toLowerCase()) >= 0));
+}
+
+/**
+ * Check whether a (CSS or attribute) value only contains allowed references
+ *
+ * @param {String} value				Value
+ * @return {Boolean}					Value is allowed
+ */
+SVGSanitizer.prototype.isAllowedValue = function(value) {
+	var allowed						= !/(expression\s*\(|javascript:)/i.test(value),
+	regex							= /url\s*\(\s*(["']?)([^\)"']*)\1\s*\)/gi,
+	match;
+	while (allowed && (match = regex.exec(value))) {
+		allowed						= this.isAllowedURL(match[2]);
+	}
+	return allowed;
+}
+
+/**
+ * Check whether an attribute is allowed
+ *
+ * @param {String} name					Attribute name
+ * @return {Boolean}					Attribute is allowed
+ */
+SVGSanitizer.prototype.isAllowedAttribute = function(name) {
+	if (/^on/i.test(name)) {
+		return false;
+	}
+	return _.some(this.attributes, function(attribute) {
+		return (attribute.substr(-1) == '*') ? (name.indexOf(attribute.substr(0, attribute.length - 1)) === 0) : (name == attribute);
+	});
+}
+
+/**
+ * Sanitize a CSS declaration block
+ *
+ * @param {CSSStyleDeclaration} style	Declaration block
+ * @param {String} context				Context (for reporting)
+ * @return {Boolean}					Declarations have been removed
+ */
+SVGSanitizer.prototype.sanitizeDeclaration = function(style, context) {
+	var removed						= false;
+	for (var p = style.length - 1; p >= 0; --p) {
+		var property				= style[p];
+		if (!this.isAllowedValue(style.getPropertyValue(property))) {
+			style.removeProperty(property);
+			this.removed.push(util.format('%s declaration in %s', property, context));
+			removed					= true;
+		}
+	}
+	return removed;
+}
+
+/**
+ * Recursively sanitize a list of CSS rules
+ *
+ * @param {Array} rules					CSS rules
+ * @return {Boolean}					Rules or declarations have been removed
+ */
+SVGSanitizer.prototype.sanitizeRules = function(rules) {
+	var removed						= false;
+	for (var r = rules.length - 1; r >= 0; --r) {
+		var rule					= rules[r];
+		if (_.isString(rule.href)) {
+			rules.splice(r, 1);
+			this.removed.push('@import rule');
+			removed					= true;
+		} else if (_.isArray(rule.cssRules)) {
+			removed					= this.sanitizeRules(rule.cssRules) || removed;
+		} else if (rule.style) {
+			removed					= this.sanitizeDeclaration(rule.style, '<style> element') || removed;
+		}
+	}
+	return removed;
+}
+
+/**
+ * Recursively sanitize an element
+ *
+ * @param {Element} element				Element
+ */
+SVGSanitizer.prototype.sanitizeElement = function(element) {
+
+	// Attributes
+	for (var a = element.attributes.length - 1; a >= 0; --a) {
+		var attribute				= element.attributes.item(a),
+		name						= attribute.name;
+		if ((name == 'xmlns') || (name.indexOf('xmlns:') === 0)) {
+			continue;
+		}
+		if (!this.isAllowedAttribute(name)) {
+			element.removeAttribute(name);
+			this.removed.push(util.format('%s attribute', name));
+		} else if (['href', 'xlink:href'].indexOf(name) >= 0) {
+			if (!this.isAllowedURL(attribute.value)) {
+				element.removeAttribute(name);
+				this.removed.push(util.format('%s attribute ("%s")', name, attribute.value));
+			}
+		} else if (name == 'style') {
+			try {
+				var style			= cssom.parse('x{' + attribute.value + '}').cssRules[0].style;
+				if (this.sanitizeDeclaration(style, 'style attribute')) {
+					style.length ? element.setAttribute('style', style.cssText) : element.removeAttribute('style');
+				}
+			} catch(e) {
+				element.removeAttribute('style');
+				this.removed.push('unparseable style attribute');
+			}
+		} else if (!this.isAllowedValue(attribute.value)) {
+			element.removeAttribute(name);
+			this.removed.push(util.format('%s attribute ("%s")', name, attribute.value));
+		}
+	}
+
+	// Stylesheets
+	if ((element.localName == 'style') && element.textContent.trim().length) {
+		try {
+			var sheet				= cssom.parse(element.textContent);
+			if (this.sanitizeRules(sheet.cssRules)) {
+				element.textContent	= sheet.toString();
+			}
+		} catch(e) {
+			element.textContent		= '';
+			this.removed.push('unparseable <style> content');
+		}
+	}
+
+	// Child elements
+	for (var c = element.childNodes.length - 1; c >= 0; --c) {
+		var child					= element.childNodes.item(c);
+		if (child.nodeType == 1) {
+			if ((child.namespaceURI != SVG_NAMESPACE) || (this.elements.indexOf(child.localName) < 0)) {
+				element.removeChild(child);
+				this.removed.push(util.format('<%s> element', child.nodeName));
+			} else {
+				this.sanitizeElement(child);
+			}
+		}
+	}
+}
+
+/**
+ * Sanitization transformation
+ *
+ * Removes all elements and attributes that aren't explicitly allowed (including scripts, event
+ * handlers and foreign content) as well as references to URLs with disallowed schemes, so that
+ * shapes from untrusted sources are safe to be inlined.
+ *
+ * @param {SVGShape} shape				SVG shape
+ * @param {Object} config				Transform configuration
+ * @param {SVGSpriter} spriter			Spriter instance
+ * @param {Function} cb					Callback
+ */
+module.exports = function(shape, config, spriter, cb) {
+	var sanitizer					= new SVGSanitizer(_.assign({}, defaultConfig, config));
+
+	try {
+		sanitizer.sanitizeElement(shape.dom.documentElement);
+		if (sanitizer.removed.length) {
+			shape.setSVG(shape.getSVG(false));
+			shape.report('warn', 'Sanitized "%s" (removed %s)', shape.name, sanitizer.removed.reverse().join(', '));
+		}
+		cb(null);
+	} catch (error) {
+		spriter.error('Sanitizing "%s" failed with error "%s"', shape.name, error);
+		cb(error);
+	}
+}
\ No newline at end of file
@@ -1053,4 +1053,1494 @@ describe('svg-sprite', function() {
 	    	});
 		});
 	});
+
+	describe('with promise API and ' + weather.length + ' SVG files', function() {
+		var spriter						= null;
+		
+		it('rejects with an error for invalid mode configurations', function(done) {
+			new SVGSpriter().compile().then(null, function(error) {
+				should(error).be.an.Error;
+				should(error).have.property('name', 'ArgumentError');
+				should(error).have.property('errno', 1420362541);
+				done();
+			});
+		});
+		
+		it('resolves to the compilation result and data', function(done) {
+			this.timeout(20000);
+			
+			spriter						= new SVGSpriter({
+				dest					: dest
+			});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.compile({
+				symbol					: true
+			}).then(function(compiled) {
+				compiled.result.symbol.should.be.an.Object;
+				compiled.result.symbol.sprite.should.be.an.Object;
+				compiled.data.symbol.shapes.length.should.be.exactly(weather.length);
+				done();
+			}).catch(done);
+		});
+		
+		it('resolves to the intermediate shapes', function(done) {
+			spriter.getShapes(path.join(dest, 'promise')).then(function(shapes) {
+				shapes.result.should.be.an.Array;
+				shapes.result.length.should.be.exactly(weather.length);
+				done();
+			}).catch(done);
+		});
+		
+		it('rejects with an error for missing templates', function(done) {
+			spriter.error				= function() {};
+			spriter.compile({
+				css						: {
+					render				: {
+						css				: {
+							template	: path.join(dest, 'missing.css')
+						}
+					}
+				}
+			}).then(function() {
+				done(new Error('The compilation should have failed'));
+			}, function(error) {
+				should(error).be.an.Error;
+				should(error).have.property('code', 'ENOENT');
+				done();
+			}).catch(done);
+		});
+		
+		it('rejects with an error for modes failing synchronously', function(done) {
+			spriter.registerMode('broken', function() {
+				throw new Error('Broken mode');
+			}).compile({broken: true}).then(function() {
+				done(new Error('The compilation should have failed'));
+			}, function(error) {
+				should(error).be.an.Error;
+				should(error).have.property('message', 'Broken mode');
+				done();
+			}).catch(done);
+		});
+	});
+
+	describe('with removed and updated shapes', function() {
+		var spriter						= null;
+		
+		it('drops removed shapes from the sprite', function(done) {
+			this.timeout(20000);
+			
+			spriter						= new SVGSpriter({
+				dest					: dest
+			});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.remove(path.join(cwdWeather, 'weather-clear.svg'));
+			spriter.compile({
+				symbol					: true
+			}, function(error, result, data) {
+				should(error).not.ok;
+				data.symbol.shapes.length.should.be.exactly(weather.length - 1);
+				_.pluck(data.symbol.shapes, 'name').should.not.containEql('weather-clear');
+				spriter.remove('weather-snow');
+				spriter.compile({
+					symbol				: true
+				}, function(error, result, data) {
+					should(error).not.ok;
+					data.symbol.shapes.length.should.be.exactly(weather.length - 2);
+					_.pluck(data.symbol.shapes, 'name').should.not.containEql('weather-snow');
+					done();
+				});
+			});
+		});
+		
+		it('replaces updated shapes', function(done) {
+			this.timeout(20000);
+			
+			var file					= path.join(cwdWeather, 'weather-snow.svg');
+			spriter.update(file, 'weather-snow.svg', fs.readFileSync(path.join(cwdWeather, 'weather-clear.svg'), {encoding: 'utf-8'}));
+			spriter.update(file, 'weather-snow.svg', fs.readFileSync(path.join(cwdWeather, 'weather-storm.svg'), {encoding: 'utf-8'}));
+			spriter.getShapes(path.join(dest, 'update'), function(error, result) {
+				should(error).not.ok;
+				result.length.should.be.exactly(weather.length - 1);
+				var shapes				= _.indexBy(result, function(file) { return path.basename(file.path, '.svg'); });
+				shapes['weather-snow'].contents.toString().should.be.exactly(shapes['weather-storm'].contents.toString());
+				done();
+			});
+		});
+	});
+
+	describe('with repeated compilation', function() {
+		var spriter						= null,
+		data							= null,
+		reused							= [],
+		config							= {
+			css							: {
+				render					: {
+					css					: true
+				}
+			},
+			symbol						: true
+		},
+		compile							= function(config, cb) {
+			reused						= [];
+			spriter.compile(config, function(error, result, cssData) {
+				reused.sort();
+				cb(error, result, cssData);
+			});
+		};
+		
+		it('reuses the previous result if nothing changed', function(done) {
+			this.timeout(20000);
+			
+			spriter						= new SVGSpriter({
+				dest					: dest
+			});
+			spriter.info				= function(message, key) {
+				if (message.indexOf('Reusing') === 0) {
+					reused.push(key);
+				}
+			};
+			addFixtureFiles(spriter, weather, cwdWeather);
+			compile(config, function(error, result, cssData) {
+				should(error).not.ok;
+				reused.should.be.empty;
+				data					= cssData;
+				compile(config, function(error, result, cssData) {
+					should(error).not.ok;
+					_.keys(result).should.eql(['css', 'symbol']);
+					reused.should.eql(['css', 'symbol']);
+					result.css.sprite.contents.toString().length.should.be.above(0);
+					cssData.css.shapes.length.should.be.exactly(data.css.shapes.length);
+					done();
+				});
+			});
+		});
+		
+		it("doesn't share the reused templating data with previous results", function(done) {
+			data.symbol.shapes.length	= 0;
+			compile(config, function(error, result, cssData) {
+				should(error).not.ok;
+				reused.should.eql(['css', 'symbol']);
+				cssData.symbol.shapes.length.should.be.exactly(weather.length);
+				done();
+			});
+		});
+		
+		it('lays out the sprites again if the configuration changed', function(done) {
+			compile(_.merge({}, config, {css: {layout: 'vertical'}}), function(error, result, cssData) {
+				should(error).not.ok;
+				reused.should.eql(['symbol']);
+				done();
+			});
+		});
+		
+		it('lays out the sprites again if a lambda variable changed', function(done) {
+			var lambda					= function(suffix) {
+				return function() {
+					return function(str, render) {
+						return render(str) + suffix;
+					}
+				};
+			};
+			compile(_.merge({}, config, {css: {variables: {suffix: lambda('')}}}), function(error, result, cssData) {
+				should(error).not.ok;
+				compile(_.merge({}, config, {css: {variables: {suffix: function() { return function(str, render) { return render(str) + '!'; }; }}}}), function(error, result, cssData) {
+					should(error).not.ok;
+					reused.should.eql(['symbol']);
+					done();
+				});
+			});
+		});
+		
+		it('reuses the previous result if a shape got updated with identical content', function(done) {
+			this.timeout(20000);
+			
+			compile(config, function(error, result, cssData) {
+				should(error).not.ok;
+				spriter.update(path.resolve(path.join(cwdWeather, weather[0])), weather[0], fs.readFileSync(path.join(cwdWeather, weather[0]), {encoding: 'utf-8'}));
+				compile(config, function(error, result, cssData) {
+					should(error).not.ok;
+					reused.should.eql(['css', 'symbol']);
+					done();
+				});
+			});
+		});
+		
+		it('lays out the sprites again if a shape changed', function(done) {
+			this.timeout(20000);
+			
+			spriter.remove('weather-clear');
+			compile(config, function(error, result, cssData) {
+				should(error).not.ok;
+				reused.should.be.empty;
+				cssData.symbol.shapes.length.should.be.exactly(weather.length - 1);
+				done();
+			});
+		});
+	});
+	
+	describe('with transformation cache', function() {
+		var calls						= 0,
+		cache							= path.join(dest, 'cache'),
+		shapes							= null,
+		count							= function(shape, spriter, cb) {
+			++calls;
+			cb(null);
+		},
+		transform						= [{count: count}, 'svgo'];
+		count.cacheKey					= 1;
+		
+		it('stores the transformed shapes in the cache directory', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({
+				dest					: dest,
+				cache					: cache,
+				transform				: _.cloneDeep(transform)
+			});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				calls.should.be.exactly(weather.length);
+				glob.sync('*.svg', {cwd: cache}).length.should.be.exactly(weather.length);
+				shapes					= _.invoke(result, 'contents.toString');
+				done();
+			});
+		});
+		
+		it('skips the transformations for unchanged shapes', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({
+				dest					: dest,
+				cache					: cache,
+				transform				: _.cloneDeep(transform)
+			});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				calls.should.be.exactly(weather.length);
+				_.invoke(result, 'contents.toString').should.eql(shapes);
+				done();
+			});
+		});
+		
+		it('repeats the transformer reports for cached shapes', function(done) {
+			var svg						= '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" onload="alert(1)"><script>alert(2)</script><rect width="10" height="10"/></svg>',
+			sanitize					= function(cb) {
+				var spriter				= new SVGSpriter({dest: dest, cache: cache, transform: [{count: transform[0].count}, 'sanitize']}),
+				warnings				= [];
+				spriter.warn			= function() {
+					warnings.push(require('util').format.apply(null, arguments));
+				};
+				spriter.add(path.join(dest, 'unsafe.svg'), 'unsafe.svg', svg);
+				spriter.getShapes(dest, function(error, result) {
+					should(error).not.ok;
+					cb(warnings, result[0].contents.toString());
+				});
+			};
+			calls						= 0;
+			sanitize(function(warnings, shape) {
+				calls.should.be.exactly(1);
+				warnings.should.eql(['Sanitized "unsafe.svg" (removed <script> element, onload attribute)']);
+				sanitize(function(cachedWarnings, cachedShape) {
+					calls.should.be.exactly(1);
+					cachedWarnings.should.eql(warnings);
+					cachedShape.should.equal(shape);
+					done();
+				});
+			});
+		});
+		
+		it('distinguishes custom transformations by their cache keys', function(done) {
+			var stroke					= function(width) {
+				var transform			= function(shape, spriter, cb) {
+					++calls;
+					shape.setSVG(shape.getSVG(false).replace('<rect', '<rect stroke-width="' + width + '"'));
+					cb(null);
+				};
+				transform.cacheKey		= width;
+				return transform;
+			},
+			run							= function(width, cb) {
+				var spriter				= new SVGSpriter({dest: dest, cache: cache, transform: [{stroke: stroke(width)}]});
+				spriter.add(path.join(dest, 'stroke.svg'), 'stroke.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>');
+				spriter.getShapes(dest, function(error, result) {
+					should(error).not.ok;
+					cb(result[0].contents.toString());
+				});
+			};
+			calls						= 0;
+			run(1, function(svg) {
+				svg.should.containEql('stroke-width="1"');
+				run(2, function(svg) {
+					svg.should.containEql('stroke-width="2"');
+					run(1, function(svg) {
+						svg.should.containEql('stroke-width="1"');
+						calls.should.be.exactly(2);
+						done();
+					});
+				});
+			});
+		});
+		
+		it('doesn\'t cache custom transformations without a cache key', function(done) {
+			var run						= function(cb) {
+				var spriter				= new SVGSpriter({dest: dest, cache: cache, transform: [{uncached: function(shape, spriter, cb) {
+					++calls;
+					cb(null);
+				}}]});
+				spriter.add(path.join(dest, 'uncached.svg'), 'uncached.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><circle r="5"/></svg>');
+				spriter.getShapes(dest, function(error) {
+					should(error).not.ok;
+					cb();
+				});
+			};
+			calls						= 0;
+			run(function() {
+				run(function() {
+					calls.should.be.exactly(2);
+					done();
+				});
+			});
+		});
+	});
+	
+	describe('with colliding shape IDs', function() {
+		var util						= require('util'),
+		files						= ['weather-clear.svg', 'weather-snow.svg', 'weather-storm.svg'],
+		
+		/**
+		 * Create a spriter instance mapping all files to the same shape ID
+		 * 
+		 * @param {String} collision	Collision policy
+		 * @return {SVGSpriter}			Spriter instance
+		 */
+		createSpriter					= function(collision) {
+			var spriter					= new SVGSpriter({
+				dest					: dest,
+				shape					: {
+					id					: {
+						generator		: function(name) {
+							return path.basename(name, '.svg').split('-').shift();
+						},
+						collision		: collision
+					}
+				}
+			});
+			addFixtureFiles(spriter, files, cwdWeather);
+			return spriter;
+		};
+		
+		it('keeps all shapes and reports the collisions by default', function(done) {
+			this.timeout(20000);
+			
+			createSpriter().compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				data.symbol.shapes.length.should.be.exactly(files.length);
+				data.symbol.collisions.length.should.be.exactly(files.length - 1);
+				_.pluck(data.symbol.collisions, 'id').should.eql(['weather', 'weather']);
+				_.pluck(data.symbol.collisions, 'resolution').should.eql(['kept', 'kept']);
+				done();
+			});
+		});
+		
+		it('renames colliding shapes', function(done) {
+			this.timeout(20000);
+			
+			createSpriter('rename').compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				_.pluck(data.symbol.shapes, 'name').should.eql(['weather', 'weather-2', 'weather-3']);
+				_.pluck(data.symbol.collisions, 'resolution').should.eql(['renamed', 'renamed']);
+				done();
+			});
+		});
+		
+		it('replaces existing shapes with the last one', function(done) {
+			this.timeout(20000);
+			
+			createSpriter('last-wins').compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				data.symbol.shapes.length.should.be.exactly(1);
+				_.pluck(data.symbol.collisions, 'resolution').should.eql(['replaced', 'replaced']);
+				done();
+			});
+		});
+		
+		it('resolves the collisions in the order the shapes were added', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({
+				dest					: dest,
+				shape					: {
+					id					: {
+						generator		: function(name) {
+							return path.basename(name, '.svg').split('-').shift();
+						},
+						collision		: 'rename'
+					}
+				},
+				transform				: [{delay: function(shape, spriter, cb) {
+					setTimeout(function() {
+						finished.push(shape.name);
+						cb(null);
+					}, (shape.name == files[0]) ? 200 : 0);
+				}}]
+			}),
+			finished					= [];
+			addFixtureFiles(spriter, files, cwdWeather);
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				finished.should.not.eql(files);
+				_.pluck(data.symbol.shapes, 'name').should.eql(['weather', 'weather-2', 'weather-3']);
+				_.pluck(data.symbol.collisions, 'path').should.eql(files.slice(1).map(function(file) {
+					return path.relative(process.cwd(), path.join(cwdWeather, file));
+				}));
+				done();
+			});
+		});
+		
+		it('returns an error for colliding shapes', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= createSpriter('error');
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).be.an.Error;
+				should(error).have.property('name', 'ArgumentError');
+				should(error).have.property('errno', 1430575102);
+				error.collisions.length.should.be.exactly(files.length - 1);
+				error.message.should.containEql(util.format('"%s" and "%s" both map to ID "weather"', path.relative(process.cwd(), path.join(cwdWeather, files[0])), path.relative(process.cwd(), path.join(cwdWeather, files[1]))));
+				error.collisions[0].should.have.property('existingPath', path.relative(process.cwd(), path.join(cwdWeather, files[0])));
+				
+				// Removing the colliding files resolves the collisions
+				var remaining			= _.pluck(error.collisions, 'existing');
+				files.forEach(function(file) {
+					if (remaining.indexOf(file) < 0) {
+						spriter.remove(file);
+					}
+				});
+				spriter.compile({symbol: true}, function(error, result, data) {
+					should(error).not.ok;
+					data.symbol.shapes.length.should.be.exactly(1);
+					data.symbol.collisions.should.be.empty;
+					done();
+				});
+			});
+		});
+	});
+	
+	describe('with invalid configuration', function() {
+		
+		it('throws an error listing all problems', function() {
+			try {
+				new SVGSpriter({
+					dest				: dest,
+					shape				: {
+						dimension		: {
+							maxWidth	: 'wide'
+						}
+					},
+					mode				: {
+						css				: {
+							layot		: 'packed'
+						},
+						sybmol			: true
+					}
+				});
+				should.fail();
+			} catch(error) {
+				should(error).have.property('name', 'ArgumentError');
+				should(error).have.property('errno', 1430812646);
+				error.problems.should.eql([
+					'shape.dimension.maxWidth: Expected Number, got String'
+				]);
+			}
+		});
+		
+		it('ignores unknown options and unsupported values with a warning', function() {
+			var winston					= require('winston'),
+			logger						= new winston.Logger({transports: []}),
+			warnings					= [],
+			spriter;
+			logger.warn					= function() {
+				warnings.push(require('util').format.apply(null, arguments));
+			};
+			spriter						= new SVGSpriter({
+				dest					: dest,
+				log						: logger,
+				verbose					: 0,
+				svg						: {
+					rootAttributes		: {}
+				},
+				shape					: {
+					dimension			: {
+						maxWidth		: '32'
+					},
+					spacing				: {
+						padding			: [1, '2']
+					}
+				},
+				mode					: {
+					css					: {
+						layot			: 'packed'
+					},
+					stack				: {
+						rootviewbox		: false
+					}
+				}
+			});
+			warnings.should.eql([
+				'SVGSpriterConfig: Ignoring invalid configuration (verbose: Unknown option)',
+				'SVGSpriterConfig: Ignoring invalid configuration (svg.rootAttributes: Unknown option)',
+				'SVGSpriterConfig: Ignoring invalid configuration (mode.css.layot: Unknown option (did you mean "layout"?))',
+				'SVGSpriterConfig: Ignoring invalid configuration (mode.stack.rootviewbox: Unknown option)'
+			]);
+			spriter.config.shape.spacing.padding.should.eql({top: 1, right: 2, bottom: 1, left: 2});
+		});
+		
+		it('falls back to the default log level for unsupported values', function() {
+			['', 'warn'].forEach(function(log) {
+				new SVGSpriter({dest: dest, log: log}).config.log.transports.console.level.should.equal('info');
+			});
+		});
+		
+		it('returns an error for unknown mode keys on compilation', function(done) {
+			new SVGSpriter({dest: dest, mode: {sybmol: true}}).compile(function(error, result, data) {
+				should(error).have.property('name', 'ArgumentError');
+				should(error).have.property('errno', 1430812646);
+				error.problems.should.eql(['mode.sybmol: Unknown mode "sybmol" (did you mean "symbol"?)']);
+				done();
+			});
+		});
+		
+		it('returns an error for invalid mode configurations', function(done) {
+			new SVGSpriter({dest: dest}).compile({css: {render: true}}, function(error, result, data) {
+				should(error).have.property('name', 'ArgumentError');
+				should(error).have.property('errno', 1430812646);
+				error.problems.should.eql(['mode.css.render: Expected Object, got Boolean']);
+				done();
+			});
+		});
+		
+		it('warns about unsupported mode configuration values on compilation', function(done) {
+			var spriter					= new SVGSpriter({dest: dest}),
+			warnings					= [];
+			spriter.warn				= function() {
+				warnings.push(require('util').format.apply(null, arguments));
+			};
+			spriter.add(path.join(dest, 'square.svg'), 'square.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>');
+			spriter.compile({css: {layout: 'pakced'}}, function(error, result, data) {
+				should(error).not.ok;
+				warnings.should.eql(['SVGSpriter.compile: Ignoring invalid mode configuration (mode.css.layout: Expected one of "vertical", "horizontal", "diagonal", "packed", got "pakced" (did you mean "packed"?))']);
+				result.css.sprite.should.be.ok;
+				done();
+			});
+		});
+	});
+	
+	describe('with custom output modes', function() {
+		var SVGSpriteBase				= require('../lib/svg-sprite/mode/base'),
+		util							= require('util');
+		
+		/**
+		 * Custom mode creating a list of shape IDs
+		 */
+		function SVGSpriteList() {
+			SVGSpriteBase.apply(this, arguments);
+		}
+		util.inherits(SVGSpriteList, SVGSpriteBase);
+		SVGSpriteList.prototype.mode = 'list';
+		SVGSpriteList.prototype._init = function() {};
+		SVGSpriteList.prototype.layout = function(files, cb) {
+			files.list					= new File({
+				base					: this._spriter.config.dest,
+				path					: path.join(this.config.dest, 'sprite.txt'),
+				contents				: new Buffer(_.pluck(this.data.shapes, 'name').join('\n'))
+			});
+			cb(null, this.data);
+		};
+		
+		it('uses a registered custom mode', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({dest: dest});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.registerMode('list', SVGSpriteList).compile({list: true}, function(error, result, data) {
+				should(error).not.ok;
+				should(result).have.property('list');
+				result.list.list.path.should.be.exactly(path.join(dest, 'list', 'sprite.txt'));
+				result.list.list.contents.toString().split('\n').length.should.be.exactly(weather.length);
+				done();
+			});
+		});
+		
+		it('uses a custom mode class given in the configuration', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({dest: dest, mode: {names: {mode: SVGSpriteList, dest: 'custom'}}});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.compile(function(error, result, data) {
+				should(error).not.ok;
+				result.names.list.path.should.be.exactly(path.join(dest, 'custom', 'sprite.txt'));
+				done();
+			});
+		});
+		
+		it('uses a custom mode registered after passing it to the constructor', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({dest: dest, mode: {list: true}});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.registerMode('list', SVGSpriteList).compile(function(error, result, data) {
+				should(error).not.ok;
+				result.list.list.contents.toString().split('\n').length.should.be.exactly(weather.length);
+				done();
+			});
+		});
+		
+		it('loads mode modules only if given explicitly', function(done) {
+			var module					= writeFile(path.join(dest, 'probe-mode.js'), 'global.svgSpriteProbeLoaded = true; module.exports = null;');
+			global.svgSpriteProbeLoaded	= false;
+			new SVGSpriter({dest: dest, mode: _.object([module], [true])}).compile(function(error, result, data) {
+				should(error).have.property('errno', 1430812646);
+				error.problems[0].should.startWith('mode.' + module + ': Unknown mode');
+				global.svgSpriteProbeLoaded.should.be.false;
+				new SVGSpriter({dest: dest}).compile({probe: {mode: module}}, function(error, result, data) {
+					should(error).have.property('errno', 1430812646);
+					global.svgSpriteProbeLoaded.should.be.true;
+					delete global.svgSpriteProbeLoaded;
+					done();
+				});
+			});
+		});
+		
+		it('refuses to replace built-in modes', function() {
+			(function() {
+				new SVGSpriter({dest: dest}).registerMode('css', SVGSpriteList);
+			}).should.throw({name: 'ArgumentError', errno: 1430989367});
+		});
+	});
+	
+	describe('with registered transformers', function() {
+		
+		/**
+		 * Transformer adding a marker attribute to the shape
+		 * 
+		 * @param {SVGShape} shape		Shape
+		 * @param {Object} config		Transformer configuration
+		 * @param {SVGSpriter} spriter	Spriter instance
+		 * @param {Function} cb			Callback
+		 */
+		function stamp(shape, config, spriter, cb) {
+			shape.setSVG(shape.getSVG(false).replace('<svg', '<svg data-' + (config.attribute || 'stamp') + '="1"'));
+			cb(null);
+		}
+		
+		it('applies a registered transformer', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({dest: dest, transform: ['svgo', {stamp: {attribute: 'test'}}]});
+			spriter.registerTransformer('stamp', stamp);
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				result.length.should.be.exactly(weather.length);
+				result.forEach(function(file) {
+					file.contents.toString().should.containEql('data-test="1"');
+				});
+				done();
+			});
+		});
+		
+		it('loads a transformer module by path and skips unknown transformers', function(done) {
+			this.timeout(20000);
+			
+			var module					= path.join(dest, 'stamp.js');
+			mkdirp.sync(dest);
+			fs.writeFileSync(module, 'module.exports = ' + stamp.toString() + ';');
+			
+			var spriter					= new SVGSpriter({dest: dest, transform: [module, 'svg-sprite-nonexistent-transformer']});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				result[0].contents.toString().should.containEql('data-stamp="1"');
+				should(spriter._transformers['svg-sprite-nonexistent-transformer']).be.null;
+				done();
+			});
+		});
+		
+		it('applies a globally registered transformer', function(done) {
+			this.timeout(20000);
+			
+			SVGSpriter.registerTransformer('global-stamp', stamp).should.be.exactly(SVGSpriter);
+			var spriter					= new SVGSpriter({dest: dest, transform: [{'global-stamp': {attribute: 'global'}}]});
+			addFixtureFiles(spriter, weather, cwdWeather);
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				result.forEach(function(file) {
+					file.contents.toString().should.containEql('data-global="1"');
+				});
+				done();
+			});
+		});
+		
+		it('skips transformer names inherited from the object prototype', function(done) {
+			var spriter					= new SVGSpriter({dest: dest, transform: ['toString', 'constructor']});
+			addFixtureFiles(spriter, weather.slice(0, 1), cwdWeather);
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				result.length.should.be.exactly(1);
+				should(spriter._transformers.toString).be.null;
+				should(spriter._transformers.constructor).be.null;
+				done();
+			});
+		});
+		
+		it('refuses invalid transformers', function() {
+			(function() {
+				new SVGSpriter({dest: dest}).registerTransformer('stamp', 'svg-sprite-nonexistent-transformer');
+			}).should.throw({name: 'ArgumentError', errno: 1431102413});
+			(function() {
+				SVGSpriter.registerTransformer(' ', stamp);
+			}).should.throw({name: 'ArgumentError', errno: 1431102413});
+		});
+	});
+	
+	describe('with currentColor transformation', function() {
+		var svg							= '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><style>.a{fill:#F00}</style><path class="a" d="M0 0h5v5z" fill="none" stroke="#000"/><circle style="fill:rgb(255,255,255);opacity:.5" cx="5" cy="5" r="2"/></svg>';
+		
+		/**
+		 * Transform a single SVG and return the result
+		 * 
+		 * @param {Object} config		Transformation configuration
+		 * @param {Function} cb			Callback
+		 */
+		function transform(config, cb) {
+			var spriter					= new SVGSpriter({dest: dest, transform: [{currentColor: config}]});
+			spriter.add(path.join(dest, 'icon.svg'), 'icon.svg', svg);
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				cb(result[0].contents.toString());
+			});
+		}
+		
+		it('converts colors in attributes, inline styles and stylesheets', function(done) {
+			transform({}, function(result) {
+				result.should.containEql('fill: currentColor;');
+				result.should.containEql('fill="none" stroke="currentColor"');
+				result.should.containEql('style="fill: currentColor; opacity: .5;"');
+				done();
+			});
+		});
+		
+		it('preserves colors and converts "none" if requested', function(done) {
+			transform({keepNone: false, preserve: ['#fff']}, function(result) {
+				result.should.containEql('fill="currentColor" stroke="currentColor"');
+				result.should.containEql('style="fill:rgb(255,255,255);opacity:.5"');
+				done();
+			});
+		});
+		
+		it('skips multi-colored shapes if requested', function(done) {
+			transform({singleColor: true}, function(result) {
+				result.should.not.containEql('currentColor');
+				done();
+			});
+		});
+	});
+	
+	describe('with recolored shape variants', function() {
+		var files						= ['weather-clear.svg', 'weather-snow.svg'],
+		recolor							= {variants: {'%s--inverse': {'#000': '#fff'}, '~disabled': {'*': '#ccc'}}};
+		
+		it('adds the variants to the sprite', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({dest: dest, transform: ['svgo', {recolor: recolor}]});
+			addFixtureFiles(spriter, files, cwdWeather);
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				_.pluck(data.symbol.shapes, 'name').should.eql([
+					'weather-clear', 'weather-clear--inverse', 'weather-clear~disabled',
+					'weather-snow', 'weather-snow--inverse', 'weather-snow~disabled'
+				]);
+				result.symbol.sprite.contents.toString().should.match(/<symbol[^>]+id="weather-clear~disabled"(?:(?!<\/symbol>)[\s\S])*#ccc/);
+				done();
+			});
+		});
+		
+		it('removes the variants along with their source', function(done) {
+			this.timeout(20000);
+			
+			var spriter					= new SVGSpriter({dest: dest, transform: ['svgo', {recolor: recolor}]});
+			addFixtureFiles(spriter, files, cwdWeather);
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				spriter.remove('weather-clear.svg');
+				spriter.compile({symbol: true}, function(error, result, data) {
+					should(error).not.ok;
+					_.pluck(data.symbol.shapes, 'name').should.eql(['weather-snow', 'weather-snow--inverse', 'weather-snow~disabled']);
+					done();
+				});
+			});
+		});
+	});
+	
+	describe('with missing dimensions', function() {
+		
+		/**
+		 * Compile a «symbol» sprite from a set of SVG strings
+		 * 
+		 * @param {Object} config		Spriter configuration
+		 * @param {Object} svgs			SVG strings by name
+		 * @param {Function} cb			Callback
+		 */
+		function compile(config, svgs, cb) {
+			var spriter					= new SVGSpriter(_.extend({dest: dest}, config));
+			for (var name in svgs) {
+				spriter.add(path.join(dest, name), name, svgs[name]);
+			}
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				cb(result.symbol.sprite.contents.toString(), data.symbol);
+			});
+		}
+		
+		it('calculates the dimensions from the content', function(done) {
+			compile({}, {
+				'group.svg'				: '<svg xmlns="http://www.w3.org/2000/svg"><g transform="translate(10 10)"><rect width="20" height="10"/><circle cx="30" cy="20" r="5"/></g></svg>',
+				'text.svg'				: '<svg xmlns="http://www.w3.org/2000/svg"><text>Text only</text></svg>'
+			}, function(sprite, data) {
+				_.pluck(data.shapes, 'name').should.eql(['group']);
+				data.shapes[0].width.outer.should.be.exactly(35);
+				data.shapes[0].height.outer.should.be.exactly(25);
+				sprite.should.containEql('viewBox="10 10 35 25"');
+				done();
+			});
+		});
+		
+		it('applies the viewports of nested SVG elements', function(done) {
+			compile({}, {
+				'nested.svg'			: '<svg xmlns="http://www.w3.org/2000/svg"><svg width="20" viewBox="0 0 10 10"><rect width="10" height="10"/></svg></svg>',
+				'aligned.svg'			: '<svg xmlns="http://www.w3.org/2000/svg"><svg x="5" width="40" height="20" viewBox="0 0 10 10" preserveAspectRatio="xMaxYMid meet"><rect width="10" height="10"/></svg></svg>'
+			}, function(sprite, data) {
+				var sizes				= {};
+				data.shapes.forEach(function(shape) {
+					sizes[shape.name]	= [shape.width.outer, shape.height.outer];
+				});
+				sizes.should.eql({aligned: [20, 20], nested: [20, 20]});
+				sprite.should.containEql('viewBox="25 0 20 20"');
+				done();
+			});
+		});
+		
+		it('crops the shapes to their content if requested', function(done) {
+			compile({shape: {dimension: {cropToContent: true}}}, {
+				'padded.svg'			: '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 100 100"><path d="M10 20h30v40H10z"/></svg>'
+			}, function(sprite, data) {
+				data.shapes[0].width.outer.should.be.exactly(60);
+				data.shapes[0].height.outer.should.be.exactly(80);
+				sprite.should.containEql('viewBox="10 20 30 40"');
+				done();
+			});
+		});
+	});
+	
+	describe('with non-pixel dimensions', function() {
+		
+		it('converts the dimensions to pixels', function(done) {
+			var spriter					= new SVGSpriter({dest: dest, shape: {dimension: {fontSize: 10}}}),
+			dimensions					= {
+				absolute				: ['24pt', '1in'],
+				metric					: ['10mm', '1cm'],
+				relative				: ['2em', '3ex'],
+				percentage				: ['50%', '200%'],
+				unsupported				: ['2vw', '10']
+			};
+			for (var name in dimensions) {
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="' + dimensions[name][0] + '" height="' + dimensions[name][1] + '" viewBox="0 0 10 20"><rect width="10" height="20"/></svg>');
+			}
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				var sizes				= {};
+				data.symbol.shapes.forEach(function(shape) {
+					sizes[shape.name]	= [shape.width.outer, shape.height.outer];
+				});
+				sizes.should.eql({
+					absolute			: [32, 96],
+					metric				: [37.8, 37.8],
+					relative			: [20, 15],
+					percentage			: [5, 40],
+					unsupported			: [10, 20]
+				});
+				done();
+			});
+		});
+	});
+	
+	describe('with non-uniform aspect ratios', function() {
+		
+		it('normalizes the viewBoxes according to preserveAspectRatio', function(done) {
+			var spriter					= new SVGSpriter({dest: dest, shape: {spacing: {padding: [10, 0]}}}),
+			ratios						= {
+				meet					: '',
+				min						: ' preserveAspectRatio="xMinYMin meet"',
+				slice					: ' preserveAspectRatio="xMidYMid slice"',
+				none					: ' preserveAspectRatio="none"'
+			};
+			for (var name in ratios) {
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 100 100"' + ratios[name] + '><rect width="100" height="100"/></svg>');
+			}
+			spriter.compile({symbol: true}, function(error, result) {
+				should(error).not.ok;
+				var svg					= result.symbol.sprite.contents.toString(),
+				viewBoxes				= {},
+				regex					= /<symbol[^>]+viewBox="([^"]+)"[^>]+id="([^"]+)"/g,
+				match;
+				while ((match = regex.exec(svg))) {
+					viewBoxes[match[2]]	= match[1];
+				}
+				viewBoxes.should.eql({
+					meet				: '-50 -10 200 120',
+					min					: '0 -10 200 120',
+					slice				: '0 20 100 60',
+					none				: '0 -10 200 120'
+				});
+				svg.should.containEql('transform="matrix(2 0 0 1 0 0)"');
+				svg.should.not.containEql('preserveAspectRatio');
+				done();
+			});
+		});
+		
+		it('keeps the preserveAspectRatio attribute of shapes that need no normalization', function(done) {
+			var spriter					= new SVGSpriter({dest: dest});
+			spriter.add(path.join(dest, 'slice.svg'), 'slice.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 50 50" preserveAspectRatio="xMinYMin slice"><rect width="50" height="50"/></svg>');
+			spriter.compile({symbol: true}, function(error, result) {
+				should(error).not.ok;
+				var svg					= result.symbol.sprite.contents.toString();
+				svg.should.match(/<symbol[^>]+viewBox="0 0 50 50"/);
+				svg.should.containEql('preserveAspectRatio="xMinYMin slice"');
+				done();
+			});
+		});
+		
+		it('only scales the rendered content of shapes without preserved aspect ratio', function(done) {
+			var spriter					= new SVGSpriter({dest: dest, transform: []});
+			spriter.add(path.join(dest, 'none.svg'), 'none.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 100 100" preserveAspectRatio="none"><title>None</title><desc>Stretched</desc><style>rect{fill:url(#g)}</style><defs><linearGradient id="g"><stop offset="0"/></linearGradient></defs><rect width="100" height="100"/></svg>');
+			spriter.getShapes(dest, function(error, result) {
+				should(error).not.ok;
+				var svg					= result[0].contents.toString(),
+				group					= svg.indexOf('<g transform="matrix(2 0 0 1 0 0)">');
+				group.should.be.above(0);
+				svg.substr(group).should.match(/^<g transform="[^"]+"><rect [^>]+\/><\/g><\/svg>$/);
+				['<title>', '<desc>', '<style>', '<defs>'].forEach(function(element) {
+					svg.indexOf(element).should.be.within(0, group);
+				});
+				done();
+			});
+		});
+	});
+	
+	describe('with per-shape overrides', function() {
+		var svg							= '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50" viewBox="0 0 100 50"><rect width="100" height="50"/></svg>',
+		compile							= function(overrides, done) {
+			var spriter					= new SVGSpriter({dest: dest, shape: {dimension: {maxWidth: 20}, spacing: {padding: 1}, overrides: overrides}});
+			['icon', 'large/illustration'].forEach(function(name) {
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', svg);
+			});
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				var sizes				= {};
+				data.symbol.shapes.forEach(function(shape) {
+					sizes[shape.name]	= [shape.width.outer, shape.height.outer];
+				});
+				done(sizes, result.symbol.sprite.contents.toString());
+			});
+		};
+		
+		it('applies overrides given as object', function(done) {
+			compile({'large/illustration.svg': {dimension: {maxWidth: 200}, spacing: {padding: [0, 5]}, meta: {title: 'Illustration'}}}, function(sizes, sprite) {
+				sizes.should.eql({icon: [22, 12], 'large--illustration': [110, 50]});
+				sprite.should.containEql('>Illustration</title>');
+				done();
+			});
+		});
+		
+		it('applies overrides given as file', function(done) {
+			var file					= writeFile(path.join(dest, 'overrides.yaml'), 'large--illustration:\n    dimension:\n        maxWidth: 50\n    spacing:\n        padding: 0\n');
+			compile(file, function(sizes) {
+				sizes.should.eql({icon: [22, 12], 'large--illustration': [50, 25]});
+				done();
+			});
+		});
+		
+		it('applies overrides returned by a callback', function(done) {
+			compile(function(shape) {
+				return (shape.id == 'icon') ? {dimension: {maxWidth: 10}} : null;
+			}, function(sizes) {
+				sizes.should.eql({icon: [12, 7], 'large--illustration': [22, 12]});
+				done();
+			});
+		});
+		
+		it('throws an error for invalid overrides file paths', function() {
+			mkdirp.sync(dest);
+			['', dest, path.join(dest, 'missing-overrides.yaml')].forEach(function(overrides) {
+				(function() {
+					new SVGSpriter({dest: dest, shape: {overrides: overrides}});
+				}).should.throw({name: 'ArgumentError', errno: 1431372214});
+			});
+		});
+	});
+	
+	describe('with deduplication of identical shapes', function() {
+		var compile						= function(mode, done) {
+			var spriter					= new SVGSpriter({dest: dest, shape: {dedupe: true, spacing: {padding: 5}}});
+			['one', 'two', 'three'].forEach(function(name) {
+				var svg					= '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><circle id="dot" cx="10" cy="10" r="' + ((name == 'three') ? 8 : 10) + '"/></svg>';
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', svg);
+			});
+			spriter.compile(_.object([mode], [true]), function(error, result, data) {
+				should(error).not.ok;
+				done(result[mode].sprite.contents.toString(), data[mode]);
+			});
+		};
+		
+		it('references the original shape in «symbol» sprites', function(done) {
+			compile('symbol', function(svg, data) {
+				svg.match(/<circle/g).should.have.lengthOf(2);
+				svg.should.containEql('<symbol viewBox="-5 -5 30 30" id="two" xmlns="http://www.w3.org/2000/svg"><use xlink:href="#one" x="-5" y="-5" width="30" height="30"/></symbol>');
+				_.pluck(data.shapes, 'duplicate').should.eql([null, null, 'one']);
+				done();
+			});
+		});
+		
+		it('references the original shape in «defs» sprites', function(done) {
+			compile('defs', function(svg) {
+				svg.match(/<circle/g).should.have.lengthOf(2);
+				svg.should.containEql('<use xlink:href="#one"');
+				done();
+			});
+		});
+		
+		it('shares the coordinates of the original shape in «css» sprites', function(done) {
+			compile('css', function(svg, data) {
+				svg.match(/<circle/g).should.have.lengthOf(2);
+				var positions			= _.object(_.pluck(data.shapes, 'name'), _.pluck(_.pluck(data.shapes, 'position'), 'absolute'));
+				positions.two.should.eql(positions.one);
+				positions.three.should.not.eql(positions.one);
+				data.spriteWidth.should.equal(60);
+				done();
+			});
+		});
+	});
+	
+	describe('with shape aliases', function() {
+		var compile						= function(mode, done) {
+			var spriter					= new SVGSpriter({dest: dest, shape: {meta: writeFile(path.join(dest, 'aliases.yaml'), 'home:\n    aliases: [house, start]\nsearch:\n    aliases: find\n')}});
+			['home', 'search'].forEach(function(name) {
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10" viewBox="0 0 20 10"><rect width="' + ((name == 'home') ? 20 : 10) + '" height="10"/></svg>');
+			});
+			spriter.compile(_.object([mode], [{render: {css: true}}]), function(error, result, data) {
+				should(error).not.ok;
+				done(result[mode].sprite.contents.toString(), result[mode].css.contents.toString(), data[mode]);
+			});
+		};
+		
+		it('adds references to «symbol» sprites', function(done) {
+			compile('symbol', function(svg, css, data) {
+				svg.match(/<path/g).should.have.lengthOf(2);
+				svg.should.containEql('<symbol viewBox="0 0 20 10" id="house" xmlns="http://www.w3.org/2000/svg"><use xlink:href="#home" width="20" height="10"/></symbol>');
+				svg.should.containEql('id="start"');
+				svg.should.containEql('id="find"');
+				css.should.containEql('.svg-home-dims,\n.svg-house-dims,\n.svg-start-dims {');
+				_.pluck(data.shapes, 'aliases').should.eql([['house', 'start'], ['find']]);
+				done();
+			});
+		});
+		
+		it('adds views to «stack» sprites', function(done) {
+			compile('stack', function(svg) {
+				svg.match(/<path/g).should.have.lengthOf(2);
+				svg.should.containEql('<view id="house" viewBox="0 0 20 10"/><view id="start" viewBox="0 0 20 10"/><svg viewBox="0 0 20 10" id="home"');
+				svg.should.containEql(':root>view:target~svg{display:block}');
+				done();
+			});
+		});
+		
+		it('adds selectors and views to «view» sprites', function(done) {
+			compile('view', function(svg, css) {
+				svg.match(/<path/g).should.have.lengthOf(2);
+				svg.should.containEql('<view id="home" viewBox="0 0 20 10"/><view id="house" viewBox="0 0 20 10"/><view id="start" viewBox="0 0 20 10"/>');
+				css.should.containEql('.svg-search,\n.svg-find {');
+				done();
+			});
+		});
+		
+		it('ignores colliding aliases and escapes the aliases', function(done) {
+			var spriter					= new SVGSpriter({dest: dest, shape: {meta: writeFile(path.join(dest, 'aliases.yaml'), 'home:\n    aliases: [search, start, "a&b"]\nsearch:\n    aliases: [start, find]\n')}}),
+			warnings					= [];
+			spriter.warn				= function() {
+				warnings.push(require('util').format.apply(null, arguments));
+			};
+			['home', 'search'].forEach(function(name) {
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10" viewBox="0 0 20 10"><rect width="20" height="10"/></svg>');
+			});
+			spriter.compile({symbol: true, view: true, stack: true}, function(error, result, data) {
+				should(error).not.ok;
+				_.pluck(data.symbol.shapes, 'aliases').should.eql([['start', 'a&b'], ['find']]);
+				warnings.should.eql([
+					'Shape alias collision: Ignoring alias "search" of "home" as the ID is already in use',
+					'Shape alias collision: Ignoring alias "start" of "search" as the ID is already in use'
+				]);
+				['symbol', 'view', 'stack'].forEach(function(mode) {
+					var svg				= result[mode].sprite.contents.toString();
+					svg.match(/id="start"/g).should.have.lengthOf(1);
+					svg.match(/id="search"/g).should.have.lengthOf(1);
+					svg.should.containEql('id="a&amp;b"');
+				});
+				done();
+			});
+		});
+		
+		it('doesn\'t repeat the aliases for recolored variants', function(done) {
+			var spriter					= new SVGSpriter({dest: dest, transform: [{recolor: {variants: {'--inv': {'*': '#fff'}}}}], shape: {meta: writeFile(path.join(dest, 'aliases.yaml'), 'home:\n    aliases: [house]\n')}});
+			spriter.add(path.join(dest, 'home.svg'), 'home.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10" viewBox="0 0 20 10"><rect width="20" height="10" fill="#000"/></svg>');
+			spriter.compile({symbol: true, view: true}, function(error, result, data) {
+				should(error).not.ok;
+				result.symbol.sprite.contents.toString().match(/id="house"/g).should.have.lengthOf(1);
+				result.view.sprite.contents.toString().match(/id="house"/g).should.have.lengthOf(1);
+				_.pluck(data.symbol.shapes, 'aliases').should.eql([['house'], []]);
+				done();
+			});
+		});
+	});
+	
+	describe('with additional meta data', function() {
+		var util						= require('util');
+		
+		it('passes the meta data to the templates and flags deprecated shapes', function(done) {
+			var meta					= 'home:\n    title: Home\n    keywords: house, start\n    category: Navigation\n    license: MIT\n    author: Jane Doe\n    custom: 42\nold:\n    deprecated: Use "home" instead\n',
+			spriter						= new SVGSpriter({dest: dest, shape: {meta: writeFile(path.join(dest, 'meta.yaml'), meta)}}),
+			warnings					= [];
+			spriter.warn				= function() {
+				warnings.push(util.format.apply(util, arguments));
+			};
+			['home', 'old'].forEach(function(name) {
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>');
+			});
+			spriter.compile({css: {render: {css: true}}}, function(error, result, data) {
+				should(error).not.ok;
+				var meta				= _.object(_.pluck(data.css.shapes, 'name'), _.pluck(data.css.shapes, 'meta'));
+				meta.home.should.containEql({title: 'Home', keywords: ['house', 'start'], category: 'Navigation', license: 'MIT', author: 'Jane Doe', custom: 42, deprecated: false});
+				meta.old.should.containEql({deprecated: true, deprecation: 'Use "home" instead'});
+				warnings.should.eql(['Shape "old" is deprecated (Use "home" instead)']);
+				result.css.css.contents.toString().should.containEql('/* Deprecated: Use "home" instead */\n.svg-old {');
+				done();
+			});
+		});
+		
+		it('renders the meta data with custom templates', function(done) {
+			var meta					= 'home:\n    category: Navigation\n    license: CC BY 4.0\n    author: Jane Doe\n',
+			template					= writeFile(path.join(dest, 'meta.txt'), '{{#shapes}}{{name}}: {{meta.category}} / {{meta.license}} / {{meta.author}}\n{{/shapes}}'),
+			spriter						= new SVGSpriter({dest: dest, shape: {meta: writeFile(path.join(dest, 'meta.yaml'), meta)}});
+			spriter.add(path.join(dest, 'home.svg'), 'home.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>');
+			spriter.compile({symbol: {render: {txt: {template: template}}}}, function(error, result, data) {
+				should(error).not.ok;
+				result.symbol.txt.contents.toString().should.equal('home: Navigation / CC BY 4.0 / Jane Doe\n');
+				done();
+			});
+		});
+		
+		it("doesn't let deprecation notices terminate stylesheet comments", function(done) {
+			var meta					= 'old:\n    deprecated: "Use */ .svg-home { display: none } /* instead"\n',
+			spriter						= new SVGSpriter({dest: dest, shape: {meta: writeFile(path.join(dest, 'meta.yaml'), meta)}});
+			spriter.warn				= function() {};
+			spriter.add(path.join(dest, 'old.svg'), 'old.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>');
+			spriter.compile({css: {render: {css: true, scss: true}}}, function(error, result, data) {
+				should(error).not.ok;
+				data.css.shapes[0].meta.deprecation.should.equal('Use * / .svg-home { display: none } /* instead');
+				['css', 'scss'].forEach(function(ext) {
+					var stylesheet		= result.css[ext].contents.toString();
+					stylesheet.should.containEql('/* Deprecated: Use * / .svg-home { display: none } /* instead */\n');
+					stylesheet.indexOf('*/').should.be.exactly(stylesheet.lastIndexOf('instead */') + 8);
+				});
+				done();
+			});
+		});
+	});
+	
+	describe('with sanitization transformation', function() {
+		
+		it('removes unsafe content and reports each removal', function(done) {
+			var svg						= '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="10" height="10" onload="alert(1)">' +
+				'<script>alert(2)</script>' +
+				'<style>@import url(http://evil.example/x.css);.a{fill:red}.b{background:url(http://evil.example/track.png)}</style>' +
+				'<foreignObject width="10" height="10"><div xmlns="http://www.w3.org/1999/xhtml">Hi</div></foreignObject>' +
+				'<a xlink:href="javascript:alert(3)"><rect class="a" width="10" height="10" onclick="alert(4)" style="fill:blue;filter:url(http://evil.example/f.svg#f)"/></a>' +
+				'<use xlink:href="#local"/><image xlink:href="https://cdn.example/i.png" width="10" height="10"/>' +
+				'</svg>',
+			spriter						= new SVGSpriter({dest: dest, transform: [{sanitize: {schemes: ['https']}}]}),
+			warnings					= [];
+			spriter.warn				= function() {
+				warnings.push(require('util').format.apply(null, arguments));
+			};
+			spriter.add(path.join(dest, 'unsafe.svg'), 'unsafe.svg', svg);
+			spriter.compile({symbol: true}, function(error, result) {
+				should(error).not.ok;
+				var sprite				= result.symbol.sprite.contents.toString();
+				['<script', 'alert', 'foreignObject', '@import', 'evil.example', 'onload', 'onclick'].forEach(function(unsafe) {
+					sprite.should.not.containEql(unsafe);
+				});
+				['<rect class="a"', 'fill: blue', '.a{fill:red}', 'xlink:href="#local"/>', 'xlink:href="https://cdn.example/i.png"'].forEach(function(safe) {
+					sprite.should.containEql(safe);
+				});
+				warnings.should.have.lengthOf(1);
+				warnings[0].should.startWith('Sanitized "unsafe.svg" (removed ');
+				['onload attribute', '<script> element', '@import rule', '<foreignObject> element', 'xlink:href attribute ("javascript:alert(3)")', 'onclick attribute', 'filter declaration in style attribute', 'background declaration in <style> element'].forEach(function(removal) {
+					warnings[0].should.containEql(removal);
+				});
+				done();
+			});
+		});
+	});
+	
+	describe('with XML parsing safeguards', function() {
+		var SHAPE					= require('../lib/svg-sprite/shape'),
+		createShape					= function(svg, parse) {
+			var spriter				= new SVGSpriter({dest: dest, shape: {parse: parse}});
+			return new SHAPE(new File({base: dest, path: path.join(dest, 'shape.svg'), contents: new Buffer(svg)}), spriter);
+		},
+		rect						= '<rect width="10" height="10"/>',
+		svg							= function(content) {
+			return '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10">' + content + '</svg>';
+		},
+		expectError					= function(errno, svg, parse) {
+			try {
+				createShape(svg, parse);
+				should.fail();
+			} catch(error) {
+				should(error).have.property('name', 'ArgumentError');
+				should(error).have.property('errno', errno);
+			}
+		};
+		
+		it('rejects files exceeding the maximum size', function() {
+			expectError(1431369814, svg(rect), {maxSize: 50});
+			createShape(svg(rect), {maxSize: 200}).should.have.property('width', 10);
+		});
+		
+		it('rejects files exceeding the maximum number of elements', function() {
+			expectError(1431369957, svg(rect + rect + rect), {maxElements: 3});
+			createShape(svg(rect + '<!-- <g><g><g> -->' + rect), {maxElements: 3}).should.have.property('width', 10);
+		});
+		
+		it('strips or rejects entity declarations', function() {
+			var entities			= '<?xml version="1.0"?><!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd" [<!ENTITY a "aaaaaaaaaa"><!ENTITY b "&a;&a;&a;&a;&a;&a;&a;&a;&a;&a;"><!ENTITY x SYSTEM "file:///etc/passwd">]>' + svg(rect),
+			shape					= createShape(entities);
+			shape.getSVG(false).should.not.containEql('ENTITY');
+			shape.doctypeDeclaration.should.equal('<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">');
+			expectError(1431369902, entities, {entities: 'reject'});
+		});
+		
+		it('skips quoted literals and comments when stripping entity declarations', function() {
+			var entities			= '<!DOCTYPE svg SYSTEM "svg[1].dtd" [<!-- don\'t ]> --><!ENTITY a "]>"><!ENTITY b \'<!ENTITY c "x">]>\'>\n]\n>' + svg(rect),
+			shape					= createShape(entities);
+			shape.getSVG(false).should.not.containEql('ENTITY');
+			shape.doctypeDeclaration.should.equal('<!DOCTYPE svg SYSTEM "svg[1].dtd">');
+			expectError(1431369902, entities, {entities: 'reject'});
+		});
+		
+		it('aborts parsing after the timeout', function() {
+			this.timeout(20000);
+			expectError(1431370023, svg(_.repeat('<g>' + rect + '</g>', 50000)), {timeout: 1});
+			createShape(svg(rect), {timeout: 10000}).should.have.property('width', 10);
+		});
+		
+		it('skips rejected and invalid files and reports them to the compilation callback', function(done) {
+			var spriter				= new SVGSpriter({dest: dest, shape: {parse: {maxElements: 2}}});
+			spriter.error			= function() {};
+			spriter.add(path.join(dest, 'small.svg'), 'small.svg', svg(rect));
+			spriter.add(path.join(dest, 'large.svg'), 'large.svg', svg(rect + rect));
+			spriter.add(path.join(dest, 'invalid.svg'), 'invalid.svg', svg('<rect width="10" height="10">'));
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				data.symbol.shapes.length.should.be.exactly(1);
+				_.pluck(data.symbol.rejected, 'name').should.eql(['large.svg', 'invalid.svg']);
+				data.symbol.rejected[0].should.have.property('path', path.relative(process.cwd(), path.join(dest, 'large.svg')));
+				data.symbol.rejected[0].should.have.property('errno', 1431369957);
+				data.symbol.rejected[1].should.have.property('errno', 1429394706);
+				spriter.getShapes(dest, function(error, result) {
+					should(error).not.ok;
+					result.length.should.be.exactly(1);
+					spriter.remove('large.svg').remove('invalid.svg').compile({symbol: true}, function(error, result, data) {
+						should(error).not.ok;
+						data.symbol.shapes.length.should.be.exactly(1);
+						data.symbol.rejected.should.be.empty;
+						done();
+					});
+				});
+			});
+		});
+	});
+	
+	describe('with ID references in SVG 2, animation and ARIA attributes', function() {
+		
+		it('namespaces all references', function(done) {
+			var svg						= '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="10" height="10">' +
+				'<title id="title">Title</title><desc id="desc">Description</desc>' +
+				'<defs><linearGradient id="grad"><stop offset="0" stop-color="red"/></linearGradient><linearGradient id="grad2"><stop offset="0" stop-color="blue"/></linearGradient>' +
+				'<marker id="dot"><circle r="1"/></marker><path id="track" d="M0,0h10"/></defs>' +
+				'<rect id="button" width="10" height="10" style="fill:url(\'#grad\');marker:url(&quot;#dot&quot;)" aria-describedby="desc"/>' +
+				'<use href="#track"/><polyline points="0,0 5,5" marker="url(#dot)"/>' +
+				'<animate id="fade" href="#button" attributeName="fill" values="url(#grad);url(#grad2)" begin="button.click; 1.5s" end="fade.begin+2s"/>' +
+				'<set xlink:href="#button" attributeName="fill" from="url(#grad2)" to="url(#grad)" begin="fade.end-0.5s"/>' +
+				'</svg>',
+			spriter						= new SVGSpriter({dest: dest, transform: []});
+			spriter.add(path.join(dest, 'refs.svg'), 'refs.svg', svg);
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				var sprite				= result.symbol.sprite.contents.toString(),
+				ids						= sprite.match(/ id="([^"]+)"/g).map(function(id) {
+					return id.substr(5, id.length - 6);
+				}),
+				ns						= _.find(ids, function(id) {
+					return /grad$/.test(id);
+				}).slice(0, -4);
+				ns.length.should.be.above(0);
+				sprite.should.containEql('style="fill:url(\'#' + ns + 'grad\');marker:url(&quot;#' + ns + 'dot&quot;)" aria-describedby="' + ns + 'desc"');
+				sprite.should.containEql('<use href="#' + ns + 'track"/>');
+				sprite.should.containEql('marker="url(#' + ns + 'dot)"');
+				sprite.should.containEql('href="#' + ns + 'button" attributeName="fill" values="url(#' + ns + 'grad);url(#' + ns + 'grad2)" begin="' + ns + 'button.click; 1.5s" end="' + ns + 'fade.begin+2s"');
+				sprite.should.containEql('xlink:href="#' + ns + 'button" attributeName="fill" from="url(#' + ns + 'grad2)" to="url(#' + ns + 'grad)" begin="' + ns + 'fade.end-0.5s"');
+				done();
+			});
+		});
+		
+		it("doesn't mistake offset values for ID references", function(done) {
+			var svg						= '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10">' +
+				'<rect id="1" width="5" height="5"/><rect id="x" width="10" height="10"/>' +
+				'<animate href="#x" attributeName="width" to="5" begin="1.5s; +2.5s; x.repeat(2); x.click-0.5s" end="indefinite"/>' +
+				'</svg>',
+			spriter						= new SVGSpriter({dest: dest, transform: [], svg: {cleanupIDs: true}});
+			spriter.add(path.join(dest, 'timing.svg'), 'timing.svg', svg);
+			spriter.compile({symbol: true}, function(error, result, data) {
+				should(error).not.ok;
+				var sprite				= result.symbol.sprite.contents.toString(),
+				ns						= sprite.match(/<rect id="([^"]*)x"/)[1];
+				ns.length.should.be.above(0);
+				sprite.should.containEql('begin="1.5s; +2.5s; ' + ns + 'x.repeat(2); ' + ns + 'x.click-0.5s" end="indefinite"');
+				sprite.should.not.containEql('id="' + ns + '1"');
+				done();
+			});
+		});
+	});
+	
+	describe('with ID namespace strategies', function() {
+		var gradient				= function(color) {
+			return '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><defs><linearGradient id="grad"><stop offset="0" stop-color="' + color + '"/></linearGradient></defs><rect width="10" height="10" fill="url(#grad)"/></svg>';
+		},
+		internalIds					= function(strategy, files, cb) {
+			var spriter				= new SVGSpriter({dest: dest, transform: [], svg: {namespaceStrategy: strategy}});
+			_.forOwn(files, function(color, name) {
+				spriter.add(path.join(dest, name + '.svg'), name + '.svg', gradient(color));
+			});
+			spriter.compile({symbol: true}, function(error, result) {
+				should(error).not.ok;
+				cb(result.symbol.sprite.contents.toString().match(/<linearGradient id="[^"]+"/g).map(function(match) {
+					return match.slice(20, -1);
+				}));
+			});
+		};
+		
+		it('uses the shape IDs as namespaces', function(done) {
+			internalIds('id', {home: 'red', search: 'blue'}, function(ids) {
+				ids.should.eql(['home__grad', 'search__grad']);
+				done();
+			});
+		});
+		
+		it('uses stable content hashes as namespaces', function(done) {
+			internalIds('hash', {home: 'red', search: 'blue'}, function(ids) {
+				ids.should.have.lengthOf(2);
+				ids[0].should.match(/^h[0-9a-f]{7}__grad$/);
+				internalIds('hash', {about: 'green', home: 'red', search: 'blue', twin: 'blue'}, function(moreIds) {
+					moreIds.slice(1, 3).should.eql(ids);
+					moreIds[3].should.equal(ids[1].replace('__', '-2__'));
+					done();
+				});
+			});
+		});
+		
+		it('derives the namespaces from the shape index by default', function(done) {
+			internalIds(undefined, {home: 'red', search: 'blue'}, function(ids) {
+				ids.should.eql(['agrad', 'bgrad']);
+				internalIds('index', {about: 'green', home: 'red', search: 'blue'}, function(moreIds) {
+					moreIds.should.eql(['agrad', 'bgrad', 'cgrad']);
+					done();
+				});
+			});
+		});
+	});
+	
+	describe('with ID cleanup and minification', function() {
+		var svg						= '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="10" height="10">' +
+			'<title id="label">Label</title>' +
+			'<defs><linearGradient id="gradient"><stop offset="0" stop-color="red"/></linearGradient><clipPath id="clip"><rect width="5" height="5"/></clipPath><mask id="mask"><rect width="10" height="10" fill="white"/></mask></defs>' +
+			'<g id="Layer_1"><rect id="Rectangle_42" width="10" height="10" fill="url(#gradient)" clip-path="url(#clip)" style="mask:url(#mask)"/></g>' +
+			'</svg>',
+		compile						= function(options, cb) {
+			var spriter				= new SVGSpriter({dest: dest, transform: [], svg: options});
+			spriter.add(path.join(dest, 'a.svg'), 'a.svg', svg);
+			spriter.add(path.join(dest, 'b.svg'), 'b.svg', svg);
+			spriter.compile({symbol: true}, function(error, result) {
+				should(error).not.ok;
+				cb(result.symbol.sprite.contents.toString());
+			});
+		};
+		
+		it('removes unreferenced IDs', function(done) {
+			compile({cleanupIDs: true}, function(sprite) {
+				sprite.should.not.containEql('Layer_1');
+				sprite.should.not.containEql('Rectangle_42');
+				['a', 'b'].forEach(function(ns) {
+					sprite.should.containEql('<title id="' + ns + 'label">Label</title>');
+					sprite.should.containEql('<linearGradient id="' + ns + 'gradient">');
+					sprite.should.containEql('fill="url(#' + ns + 'gradient)" clip-path="url(#' + ns + 'clip)" style="mask:url(#' + ns + 'mask)"');
+				});
+				done();
+			});
+		});
+		
+		it('shortens referenced IDs', function(done) {
+			compile({cleanupIDs: true, minifyIDs: true}, function(sprite) {
+				var ids				= sprite.match(/ id="[^"]+"/g);
+				ids.should.eql([' id="a"', ' id="alabel"', ' id="c"', ' id="d"', ' id="e"', ' id="b"', ' id="blabel"', ' id="f"', ' id="g"', ' id="h"']);
+				sprite.should.containEql('fill="url(#c)" clip-path="url(#d)" style="mask:url(#e)"');
+				sprite.should.containEql('fill="url(#f)" clip-path="url(#g)" style="mask:url(#h)"');
+				done();
+			});
+		});
+		
+		it('never reuses the remaining unreferenced IDs as short IDs', function(done) {
+			var spriter				= new SVGSpriter({dest: dest, transform: [], svg: {minifyIDs: true}}),
+			gradients				= _.range(30).map(function(index) {
+				return '<linearGradient id="g' + index + '"/><rect width="1" height="1" fill="url(#g' + index + ')"/>';
+			});
+			spriter.add(path.join(dest, 'a.svg'), 'a.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><g id="b"/>' + gradients.join('') + '</svg>');
+			spriter.compile({symbol: true}, function(error, result) {
+				should(error).not.ok;
+				var ids				= result.symbol.sprite.contents.toString().match(/ id="[^"]+"/g);
+				ids.should.containEql(' id="ab"');
+				ids.length.should.be.exactly(_.uniq(ids).length);
+				done();
+			});
+		});
+		
+		it('keeps all IDs by default', function(done) {
+			compile({}, function(sprite) {
+				sprite.should.containEql('<g id="aLayer_1"><rect id="aRectangle_42"');
+				done();
+			});
+		});
+	});
 });
\ No newline at end of file